@@ -0,0 +1,187 @@
+/*
+ * File: batch.js
+ * Batch mode: collects the script files of a dropped folder or project .zip, and packs the outputs
+ * with one combined map (and a combined report, see report.js) into a zip for download. A `surxrat.config.json` in the project (see names.js)
+ * travels with it both ways. Zips are read and written with JSZip (loaded as the global `JSZip`).
+ */
+const batchProject = (() => {
+    // Browser globals, or their Node modules when loaded with require().
+    const containers = typeof mapContainer !== 'undefined' ? mapContainer : require('./container.js');
+    const names = typeof reservedNames !== 'undefined' ? reservedNames : require('./names.js');
+
+    const SCRIPT_FILE = /\.(?:js|mjs|cjs)$/i;
+    const ZIP_FILE = /\.zip$/i;
+    // Marks the data of a project's map container, which holds every file's map.
+    const MAP_KIND = 'batch-project';
+    const MAP_FILE_NAME = 'surxrat-map.json';
+    const REPORT_FILE_NAME = 'surxrat-report.json';
+    const CONFIG_FILE = /(?:^|\/)surxrat\.config\.json$/;
+
+    /**
+     * Tells whether a project path is a script worth listing: dependencies and dot folders are skipped.
+     * @param {string} path The path inside the project.
+     * @returns {boolean} Whether to list it.
+     */
+    function isProjectScript(path) {
+        return SCRIPT_FILE.test(path) && !path.split('/').some((part) => part === 'node_modules' || part.startsWith('.'));
+    }
+
+    /**
+     * Reads a dropped file or directory entry, recursively.
+     * @param {FileSystemEntry} entry The entry.
+     * @param {string} prefix The path of its parent directory.
+     * @returns {Promise<Array<{path: string, file: File}>>} The files below it.
+     */
+    async function readEntry(entry, prefix) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            return [{ path: prefix + entry.name, file }];
+        }
+        const reader = entry.createReader();
+        const children = [];
+        // readEntries returns the directory in batches until it returns an empty one.
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            children.push(...batch);
+        }
+        const files = [];
+        for (const child of children) files.push(...await readEntry(child, `${prefix}${entry.name}/`));
+        return files;
+    }
+
+    /**
+     * Lists the files of a drop, including the contents of dropped folders.
+     * @param {DataTransfer} dataTransfer The drop event's data.
+     * @returns {Promise<Array<{path: string, file: File}>>} The files.
+     */
+    async function collectDropped(dataTransfer) {
+        const entries = [...dataTransfer.items]
+            .map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (entries.length === 0) {
+            return collectFileList(dataTransfer.files);
+        }
+        const files = [];
+        for (const entry of entries) files.push(...await readEntry(entry, ''));
+        return files;
+    }
+
+    /**
+     * Lists the files chosen in a file input (a folder picker keeps each file's relative path).
+     * @param {FileList} fileList The chosen files.
+     * @returns {Array<{path: string, file: File}>} The files.
+     */
+    function collectFileList(fileList) {
+        return [...fileList].map((file) => ({ path: file.webkitRelativePath || file.name, file }));
+    }
+
+    /**
+     * Reads the project's scripts; a .zip is opened and its scripts listed with their paths inside it.
+     * @param {Array<{path: string, file: File}>} files The collected files.
+     * @returns {Promise<{scripts: Array<{path: string, code: string}>, config: string|null}>} The scripts, sorted by path,
+     *     and the text of the project's `surxrat.config.json` (the one nearest the root), if any.
+     */
+    async function loadProject(files) {
+        const scripts = new Map();
+        const configs = new Map();
+        const read = async (path, readText) => {
+            if (isProjectScript(path)) scripts.set(path, await readText());
+            else if (CONFIG_FILE.test(path)) configs.set(path, await readText());
+        };
+        for (const { path, file } of files) {
+            if (ZIP_FILE.test(path)) {
+                const zip = await JSZip.loadAsync(file);
+                for (const entry of Object.values(zip.files)) {
+                    if (!entry.dir) await read(entry.name, () => entry.async('string'));
+                }
+            } else {
+                await read(path, () => file.text());
+            }
+        }
+        const depth = (path) => path.split('/').length;
+        const [configPath] = [...configs.keys()].sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+        return {
+            scripts: [...scripts].sort(([a], [b]) => a.localeCompare(b)).map(([path, code]) => ({ path, code })),
+            config: configPath === undefined ? null : configs.get(configPath)
+        };
+    }
+
+    /**
+     * Writes a set of files as one text, their paths and code in path order, so a map container can
+     * hash a whole project as it hashes one file.
+     * @param {Array<{path: string, code: string}>} files The files.
+     * @returns {string} The text.
+     */
+    function projectText(files) {
+        const entries = files.map(({ path, code }) => [path, code]);
+        return JSON.stringify(entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    }
+
+    /**
+     * Builds the combined map: a map container over the whole project whose data holds every file's
+     * map (or log) by path, plus the shared global renames.
+     * @param {string} method The method id, or 'pipeline'.
+     * @param {Array<{path: string, input: string, result: string, map: string}>} outputs The processed files, with their source.
+     * @param {Object<string, string>} [globalRenames] The globals renamed the same way in every file.
+     * @returns {string} The map as JSON.
+     */
+    function buildMap(method, outputs, globalRenames) {
+        const data = { kind: MAP_KIND, files: {} };
+        if (globalRenames && Object.keys(globalRenames).length > 0) data.globalRenames = globalRenames;
+        outputs.forEach(({ path, map: fileMap }) => { data.files[path] = fileMap; });
+        return containers.wrap(method, {
+            input: projectText(outputs.map(({ path, input }) => ({ path, code: input }))),
+            output: projectText(outputs.map(({ path, result }) => ({ path, code: result }))),
+            data
+        });
+    }
+
+    /**
+     * Reads a combined map, checking it against the obfuscated files it was made for.
+     * @param {string} mapJson The combined map from `buildMap`.
+     * @param {string} method The method id, or 'pipeline'.
+     * @param {Array<{path: string, code: string}>} files The obfuscated files, as written (without a source map comment).
+     * @returns {{files: Object<string, string>, globalRenames?: Object<string, string>}} Every file's map by path, and the shared renames.
+     */
+    function readMap(mapJson, method, files) {
+        const { data } = containers.unwrap(mapJson, method, projectText(files));
+        if (!data || data.kind !== MAP_KIND || !data.files) {
+            throw new Error(`This map is not a project map. Use the ${MAP_FILE_NAME} of the batch it came with.`);
+        }
+        return data;
+    }
+
+    /**
+     * Packs the outputs (at their original paths), their source maps, the combined map and, when given,
+     * the project configuration and the combined report.
+     * @param {Array<{path: string, result: string, sourceMap?: string}>} outputs The processed files.
+     * @param {string} mapJson The combined map from `buildMap`.
+     * @param {string} [config] The `surxrat.config.json` to include.
+     * @param {string} [reportJson] The combined report (`obfuscationReport.combine`) as JSON.
+     * @returns {Promise<Blob>} The zip.
+     */
+    function buildZip(outputs, mapJson, config, reportJson) {
+        const zip = new JSZip();
+        for (const { path, result, sourceMap } of outputs) {
+            if (sourceMap) {
+                const name = path.split('/').pop();
+                zip.file(path, `${result}\n//# sourceMappingURL=${name}.map\n`);
+                zip.file(`${path}.map`, sourceMap);
+            } else {
+                zip.file(path, result);
+            }
+        }
+        zip.file(MAP_FILE_NAME, mapJson);
+        if (config) zip.file(names.CONFIG_FILE_NAME, config);
+        if (reportJson) zip.file(REPORT_FILE_NAME, reportJson);
+        return zip.generateAsync({ type: 'blob' });
+    }
+
+    return { collectDropped, collectFileList, loadProject, buildMap, readMap, buildZip };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = batchProject;
+}
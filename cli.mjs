@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/*
+ * File: cli.mjs
+ * Command-line interface: obfuscates (or deobfuscates) files, directories, globs or stdin.
+ * Outputs are written next to their inputs: `app.js` becomes `app.obf.js`, with its map in
+ * `app.obf.map.json` and, when requested, a source map in `app.obf.js.map`. HTML pages
+ * (`page.html` becomes `page.obf.html`) have their inline scripts and event handlers obfuscated.
+ * `--report` writes one JSON report (report.js) for the whole run.
+ */
+import { readFile, writeFile, readdir, stat, access } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    obfuscate, deobfuscate, obfuscateHtml, deobfuscateHtml, verify, listMethods, requiresMap, planSharedProperties,
+    report, combineReports, formatReport
+} from './index.mjs';
+import randomSource from './random.js';
+import mapContainer from './container.js';
+import reservedNames from './names.js';
+import htmlSource from './html.js';
+
+const USAGE = `Usage: surxrat [options] [file|directory|glob ...]
+
+Reads stdin and writes stdout when no path (or "-") is given.
+
+Options:
+  -m, --method <id>     ${listMethods().join(', ')} (default: lexical-scramble)
+  -k, --key <key>       Secret key (or set OBFUSCATOR_KEY)
+      --mode <mode>     Lana-Vortex mode: classic or secure
+      --steps <ids>     Comma-separated methods for --method pipeline
+      --seed <seed>     Make the output reproducible: the same input, options and seed give the same files
+      --preset <name>   Lexical Scramble: keep the globals of browser, node or worker code
+      --preserve <list> Lexical Scramble: comma-separated names, globs or regexes never to rename
+      --rename-private  Lexical Scramble: also rename _private properties (alike in every file)
+      --config <file>   Read the three settings above from a file (default: ./surxrat.config.json if present)
+  -d, --deobfuscate     Reverse *.obf.js files into *.deobf.js
+      --source-map      Also write a Source Map v3 next to each output file
+      --map <file>      Map file to write (or read with -d) when using stdin
+      --verify          Run each script and its output in sandboxes and fail if they behave differently
+      --html            Treat stdin as an HTML page (files ending in .html or .htm always are)
+      --report <file>   Write a JSON report: sizes, gzip sizes, entropy, counts per method, load overhead
+  -h, --help            Show this help`;
+
+const SCRIPT_EXTENSIONS = new Set(['.js', '.mjs', '.cjs']);
+const HTML_EXTENSIONS = new Set(['.html', '.htm']);
+
+/**
+ * Converts a glob (`*`, `**`, `?`) to a regex over `/`-separated paths.
+ * @param {string} glob The glob.
+ * @returns {RegExp} The equivalent regex.
+ */
+function globToRegex(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists every file below a directory, skipping dot directories and node_modules.
+ * @param {string} directory The directory.
+ * @returns {Promise<string[]>} The file paths.
+ */
+async function walk(directory) {
+    const files = [];
+    for (const entry of await readdir(directory, { withFileTypes: true })) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (!entry.name.startsWith('.') && entry.name !== 'node_modules') files.push(...await walk(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Tells whether a file is an input for the current direction.
+ * @param {string} file The file path.
+ * @param {boolean} reverse Whether we deobfuscate.
+ * @returns {boolean} Whether to process it.
+ */
+function isInput(file, reverse) {
+    const extension = path.extname(file);
+    if (!SCRIPT_EXTENSIONS.has(extension) && !HTML_EXTENSIONS.has(extension)) return false;
+    const isObfuscated = /\.obf\.(?:[cm]?js|html?)$/.test(file);
+    return reverse ? isObfuscated : !isObfuscated && !/\.deobf\.(?:[cm]?js|html?)$/.test(file);
+}
+
+/**
+ * Expands the command-line paths (files, directories and globs) into input files.
+ * @param {string[]} patterns The paths.
+ * @param {boolean} reverse Whether we deobfuscate.
+ * @returns {Promise<string[]>} The unique input files.
+ */
+async function expandInputs(patterns, reverse) {
+    const files = new Set();
+    for (const pattern of patterns) {
+        if (/[*?]/.test(pattern)) {
+            const normalized = pattern.split(path.sep).join('/');
+            const base = normalized.slice(0, normalized.search(/[*?]/)).replace(/[^/]*$/, '') || '.';
+            const regex = globToRegex(normalized.replace(/^\.\//, ''));
+            for (const file of await walk(base)) {
+                const relative = path.relative('.', file).split(path.sep).join('/');
+                if (regex.test(relative) && isInput(file, reverse)) files.add(file);
+            }
+            continue;
+        }
+        const info = await stat(pattern);
+        if (info.isDirectory()) {
+            (await walk(pattern)).filter((file) => isInput(file, reverse)).forEach((file) => files.add(file));
+        } else {
+            files.add(pattern);
+        }
+    }
+    return [...files];
+}
+
+/**
+ * Reads all of stdin.
+ * @returns {Promise<string>} The text read.
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Reads the project's renaming settings: the `--config` file, or `surxrat.config.json` in the
+ * current directory when there is one.
+ * @param {object} values The parsed option values.
+ * @returns {Promise<object>} The Lexical Scramble options it sets (none without a file).
+ */
+async function loadConfig(values) {
+    const file = values.config || (await exists(reservedNames.CONFIG_FILE_NAME) ? reservedNames.CONFIG_FILE_NAME : null);
+    return file ? reservedNames.readConfig(await readFile(file, 'utf8')) : {};
+}
+
+/**
+ * Builds the options passed to `obfuscate`/`deobfuscate` from the parsed arguments.
+ * @param {object} values The parsed option values.
+ * @param {object} [config] The settings from `loadConfig`; the flags override them.
+ * @returns {object} The library options.
+ */
+function libraryOptions(values, config = {}) {
+    const options = { method: values.method, key: values.key || process.env.OBFUSCATOR_KEY };
+    if (values.mode) options.mode = values.mode;
+    if (values.seed) options.seed = values.seed;
+    if (values['source-map']) options.sourceMap = true;
+
+    const renaming = { ...config };
+    if (values.preset) renaming.preset = values.preset;
+    if (values.preserve) renaming.preserve = values.preserve;
+    if (values['rename-private']) renaming.renamePrivate = true;
+    if (values.method === 'lexical-scramble') Object.assign(options, renaming);
+
+    if (values.steps) {
+        options.steps = values.steps.split(',').map((method) => method.trim()).map((method) => ({
+            method,
+            options: method === 'lana-vortex' && values.mode ? { mode: values.mode }
+                : method === 'lexical-scramble' ? { ...renaming } : {}
+        }));
+    }
+    return options;
+}
+
+/**
+ * Checks whether a file exists.
+ * @param {string} file The file path.
+ * @returns {Promise<boolean>} Whether it exists.
+ */
+async function exists(file) {
+    try {
+        await access(file);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Runs the original and the obfuscated code in sandboxes and throws if they behave differently.
+ * @param {string} code The original code.
+ * @param {string} result The obfuscated code.
+ * @param {object} options The library options.
+ */
+async function verifyResult(code, result, options) {
+    const report = await verify(code, result, { passphrase: options.key });
+    if (!report.equivalent) {
+        throw new Error(`behaves differently after obfuscation:\n  ${report.differences.join('\n  ')}`);
+    }
+}
+
+/**
+ * Obfuscates or deobfuscates one file, writing the results next to it. HTML pages have their
+ * inline scripts processed; they get no source map and are not verified.
+ * @param {string} file The input file.
+ * @param {object} options The library options.
+ * @param {boolean} reverse Whether we deobfuscate.
+ * @param {boolean} check Whether to verify the output behaves like the input.
+ * @param {Object<string, object>} [reports] Receives the file's report under its path, when a report is wanted.
+ */
+async function processFile(file, options, reverse, check, reports) {
+    const code = await readFile(file, 'utf8');
+    const extension = path.extname(file);
+    const isHtml = HTML_EXTENSIONS.has(extension);
+
+    if (reverse) {
+        const base = file.slice(0, -extension.length).replace(/\.obf$/, '');
+        const mapFile = `${base}.obf.map.json`;
+        const map = await exists(mapFile) ? await readFile(mapFile, 'utf8') : undefined;
+        // The map's hash is of the code without the source map comment written below.
+        const obfuscated = isHtml ? code : code.replace(/\n\/\/# sourceMappingURL=\S+\n$/, '');
+        const { result } = await (isHtml ? deobfuscateHtml : deobfuscate)(obfuscated, { ...options, map });
+        const outputFile = `${base}.deobf${extension}`;
+        await writeFile(outputFile, result);
+        console.error(`${file} -> ${outputFile}`);
+        return;
+    }
+
+    const base = file.slice(0, -extension.length);
+    const outputFile = `${base}.obf${extension}`;
+    const start = performance.now();
+    const output = await (isHtml ? obfuscateHtml : obfuscate)(code, {
+        ...options,
+        // Files seeded alike would pick the same names, which clash when the files share a page.
+        seed: randomSource.derive(options.seed, path.relative('.', file).split(path.sep).join('/')),
+        sourceFileName: path.basename(file),
+        outputFileName: path.basename(outputFile)
+    });
+    const durationMs = performance.now() - start;
+    const { result, map, sourceMap } = output;
+    if (check && !isHtml) await verifyResult(code, result, options);
+    if (reports) {
+        // Each block of a page has its own wrapper, so a page gets no load overhead estimate.
+        reports[path.relative('.', file).split(path.sep).join('/')] = await report(code, output, { ...options, durationMs, overhead: !isHtml });
+    }
+    const written = [outputFile];
+    if (sourceMap) {
+        await writeFile(`${outputFile}.map`, sourceMap);
+        written.push(`${outputFile}.map`);
+        await writeFile(outputFile, `${result}\n//# sourceMappingURL=${path.basename(outputFile)}.map\n`);
+    } else {
+        await writeFile(outputFile, result);
+    }
+    // Key-based methods' maps hold no data, but let `-d` check the code it is given.
+    if (requiresMap(options.method) || mapContainer.isContainer(map)) {
+        await writeFile(`${base}.obf.map.json`, map);
+        written.push(`${base}.obf.map.json`);
+    }
+    console.error(`${file} -> ${written.join(', ')}`);
+}
+
+/**
+ * Writes a report as JSON and shows it as text on stderr.
+ * @param {string} file The report file.
+ * @param {object} contents The report.
+ */
+async function writeReport(file, contents) {
+    await writeFile(file, JSON.stringify(contents, null, 2) + '\n');
+    console.error(`${formatReport(contents)}\nReport written to ${file}`);
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                method: { type: 'string', short: 'm', default: 'lexical-scramble' },
+                key: { type: 'string', short: 'k' },
+                mode: { type: 'string' },
+                steps: { type: 'string' },
+                seed: { type: 'string' },
+                preset: { type: 'string' },
+                preserve: { type: 'string' },
+                'rename-private': { type: 'boolean', default: false },
+                config: { type: 'string' },
+                deobfuscate: { type: 'boolean', short: 'd', default: false },
+                'source-map': { type: 'boolean', default: false },
+                map: { type: 'string' },
+                verify: { type: 'boolean', default: false },
+                html: { type: 'boolean', default: false },
+                report: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!listMethods().includes(values.method)) {
+        console.error(`Unknown method "${values.method}".\n\n${USAGE}`);
+        return 2;
+    }
+
+    let options;
+    try {
+        options = libraryOptions(values, await loadConfig(values));
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        return 1;
+    }
+    const reverse = values.deobfuscate;
+
+    if (positionals.length === 0 || (positionals.length === 1 && positionals[0] === '-')) {
+        try {
+            const code = await readStdin();
+            if (reverse) {
+                const map = values.map ? await readFile(values.map, 'utf8') : undefined;
+                process.stdout.write((await (values.html ? deobfuscateHtml : deobfuscate)(code, { ...options, map })).result);
+            } else {
+                const start = performance.now();
+                const output = await (values.html ? obfuscateHtml : obfuscate)(code, options);
+                const durationMs = performance.now() - start;
+                if (values.verify && !values.html) await verifyResult(code, output.result, options);
+                process.stdout.write(output.result);
+                if (values.map) await writeFile(values.map, output.map);
+                if (values.report) {
+                    await writeReport(values.report, await report(code, output, { ...options, durationMs, overhead: !values.html }));
+                }
+            }
+            return 0;
+        } catch (e) {
+            console.error(`Error: ${e.message}`);
+            return 1;
+        }
+    }
+
+    let files;
+    try {
+        files = await expandInputs(positionals, reverse);
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        return 1;
+    }
+    if (files.length === 0) {
+        console.error('Error: no input files matched.');
+        return 1;
+    }
+    if (!reverse) {
+        // Private properties are renamed by one plan over every input, since objects cross files.
+        try {
+            const codes = [];
+            for (const file of files) {
+                const code = await readFile(file, 'utf8');
+                if (HTML_EXTENSIONS.has(path.extname(file))) codes.push(...htmlSource.findBlocks(code).map((block) => block.code));
+                else codes.push(code);
+            }
+            options = planSharedProperties(codes, options);
+        } catch (e) {
+            console.error(`Error: ${e.message}`);
+            return 1;
+        }
+    }
+
+    let failures = 0;
+    const reports = values.report && !reverse ? {} : undefined;
+    for (const file of files) {
+        try {
+            await processFile(file, options, reverse, values.verify, reports);
+        } catch (e) {
+            failures++;
+            console.error(`${file}: ${e.message}`);
+        }
+    }
+    if (reports && Object.keys(reports).length > 0) {
+        try {
+            await writeReport(values.report, combineReports(options.method, reports));
+        } catch (e) {
+            failures++;
+            console.error(`Error: ${e.message}`);
+        }
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,170 @@
+/*
+ * File: container.js
+ * The versioned map format. Every map a method hands back is a JSON container that names the
+ * method and its version, records the options used and SHA-256 hashes of the input and output,
+ * and carries the method's own data. `unwrap` checks all of that before a method decodes, so a
+ * map for another method, from a newer release or for different code is reported clearly.
+ */
+const mapContainer = (() => {
+    // Browser global, or its Node module when loaded with require().
+    const registry = typeof methodRegistry !== 'undefined' ? methodRegistry : require('./registry.js');
+
+    const FORMAT = 'surxrat-map';
+    const VERSION = 1;
+
+    const K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    /**
+     * Hashes text (as UTF-8) with SHA-256. It runs synchronously and without WebCrypto, so methods
+     * stay synchronous and pages opened over plain http can still hash.
+     * @param {string} text The text.
+     * @returns {string} The hash as 64 hex digits.
+     */
+    function sha256(text) {
+        const bytes = new TextEncoder().encode(text);
+        // Pad to a whole number of 64-byte blocks: a 1 bit, zeros, then the bit length.
+        const blocks = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+        blocks.set(bytes);
+        blocks[bytes.length] = 0x80;
+        const view = new DataView(blocks.buffer);
+        view.setUint32(blocks.length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(blocks.length - 4, (bytes.length * 8) >>> 0);
+
+        const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+        const w = new Uint32Array(64);
+        const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+        for (let offset = 0; offset < blocks.length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+            }
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const t1 = h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+                const t2 = (rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+                [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) >>> 0, c, b, a, (t1 + t2) >>> 0];
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] += value; });
+        }
+        return Array.from(hash, (word) => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    /**
+     * Describes code by its hash and length.
+     * @param {string} code The code.
+     * @returns {{sha256: string, length: number}} The fingerprint.
+     */
+    function fingerprint(code) {
+        return { sha256: sha256(code), length: code.length };
+    }
+
+    /**
+     * The version of a method, as registered (the pipeline and unregistered ids count as 1).
+     * @param {string} method The method id.
+     * @returns {number} The version.
+     */
+    function methodVersion(method) {
+        const entry = registry.listMethods().find((definition) => definition.id === method);
+        return entry ? entry.version : 1;
+    }
+
+    /**
+     * Builds a map container.
+     * @param {string} method The method id, or 'pipeline'.
+     * @param {object} contents
+     * @param {string} contents.input The code the method was given.
+     * @param {string} contents.output The code it produced.
+     * @param {object} [contents.options] The options used; functions (such as `onProgress`) are left out.
+     * @param {*} [contents.data] What the method needs to decode, if anything.
+     * @param {string} [contents.log] A message for the user.
+     * @returns {string} The container as JSON.
+     */
+    function wrap(method, { input, output, options = {}, data = null, log }) {
+        const container = {
+            format: FORMAT,
+            version: VERSION,
+            method,
+            methodVersion: methodVersion(method),
+            options: JSON.parse(JSON.stringify(options)),
+            input: fingerprint(input),
+            output: fingerprint(output)
+        };
+        if (log) container.log = log;
+        container.data = data;
+        return JSON.stringify(container, null, 2);
+    }
+
+    /**
+     * Tells whether text looks like a map container (it is not validated).
+     * @param {string} text The text.
+     * @returns {boolean} Whether it is one.
+     */
+    function isContainer(text) {
+        try {
+            const parsed = JSON.parse(text);
+            return Boolean(parsed) && parsed.format === FORMAT;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Reads and checks a map container.
+     * @param {string} mapJson The container as JSON.
+     * @param {string} method The method that is about to decode with it.
+     * @param {string} [code] The code about to be decoded; when given, it must be the output the map was made for.
+     * @returns {{method: string, methodVersion: number, options: object, input: {sha256: string, length: number}, output: {sha256: string, length: number}, log?: string, data: *}} The container.
+     */
+    function unwrap(mapJson, method, code) {
+        let container;
+        try {
+            container = JSON.parse(mapJson);
+        } catch (e) {
+            throw new Error(`The map is not valid JSON: ${e.message}`);
+        }
+        if (!container || container.format !== FORMAT) {
+            throw new Error("This is not a versioned Surxrat map. Maps made before the map format was versioned cannot be read; obfuscate the code again to get a new map.");
+        }
+        if (container.version !== VERSION) {
+            throw new Error(`Unsupported map version ${container.version}: this release reads version ${VERSION}.`);
+        }
+        if (container.method !== method) {
+            throw new Error(`This map was made by "${container.method}", not "${method}". Choose "${container.method}" to deobfuscate.`);
+        }
+        if (container.methodVersion > methodVersion(method)) {
+            throw new Error(`This map was made by version ${container.methodVersion} of "${method}", which is newer than this release's version ${methodVersion(method)}.`);
+        }
+        if (code !== undefined && container.output && sha256(code) !== container.output.sha256) {
+            throw new Error("The code does not match the map: it is not the output this map was made for (it was edited, or the map belongs to another run).");
+        }
+        return container;
+    }
+
+    /**
+     * Tells whether decoded code is exactly the input the map was made from.
+     * @param {{input: {sha256: string}}} container The container from `unwrap`.
+     * @param {string} code The decoded code.
+     * @returns {boolean} Whether the hashes match.
+     */
+    function matchesInput(container, code) {
+        return Boolean(container.input) && sha256(code) === container.input.sha256;
+    }
+
+    return { FORMAT, VERSION, sha256, wrap, isContainer, unwrap, matchesInput };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = mapContainer;
+}
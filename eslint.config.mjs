@@ -0,0 +1,38 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+// The .js files are classic scripts: the page and the worker load them in order and each one
+// declares a global, while Node requires them through their CommonJS tail.
+const projectGlobals = Object.fromEntries([
+    'batchProject', 'codeParser', 'htmlSource', 'lanaVortex', 'lexicalScramble', 'mapContainer', 'methodRegistry',
+    'methodRunner', 'minify', 'obfuscationReport', 'pipeline', 'projectStore', 'randomSource', 'reservedNames',
+    'reviewStore', 'sourceMap', 'stringConceal', 'verifier', 'acorn', 'JSZip'
+].map((name) => [name, 'readonly']));
+
+export default [
+    { ignores: ['node_modules/'] },
+    js.configs.recommended,
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'script',
+            globals: { ...globals.browser, ...globals.worker, ...globals.commonjs, ...projectGlobals }
+        },
+        rules: {
+            'no-redeclare': ['error', { builtinGlobals: false }],
+            'no-unused-vars': ['error', { vars: 'local', args: 'none', caughtErrors: 'none' }]
+        }
+    },
+    {
+        files: ['**/*.mjs'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: { ...globals.node }
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+        }
+    }
+];
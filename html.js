@@ -0,0 +1,296 @@
+/*
+ * File: html.js
+ * HTML input mode: finds the inline JavaScript of a page (`<script>` blocks without `src`, and
+ * `on*` event handler attributes), runs a method on each block and writes the page back with only
+ * those blocks changed. The page is scanned as text rather than parsed into a DOM, so everything
+ * else (formatting, comments, external scripts) is kept byte for byte.
+ */
+const htmlSource = (() => {
+    // Browser global, or its Node module when loaded with require().
+    const containers = typeof mapContainer !== 'undefined' ? mapContainer : require('./container.js');
+
+    // Marks the data of a page's map container, which holds one entry per block.
+    const MAP_KIND = 'html-page';
+    // Elements whose content is raw text: a `<` inside them does not start a tag.
+    const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript']);
+    const SCRIPT_TYPES = /^(?:module|(?:text|application)\/(?:x-)?(?:javascript|ecmascript)|text\/jscript)$/i;
+    const HANDLER_ATTRIBUTE = /^on[a-z]+$/i;
+    const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+    /**
+     * @typedef {object} Block
+     * @property {'script'|'handler'} kind An inline `<script>`, or an event handler attribute.
+     * @property {string} [name] The attribute name of a handler, e.g. 'onclick'.
+     * @property {number} start Where the block starts in the page (a handler's value with its quotes).
+     * @property {number} end Where it ends.
+     * @property {string} code The JavaScript, with a handler's character references decoded.
+     * @property {string} quote The quote around a handler's value ('' when unquoted).
+     */
+
+    /**
+     * Decodes the character references of an attribute value. Numeric references and the common
+     * named ones are decoded; any other `&name;` is left as written.
+     * @param {string} text The attribute value as written.
+     * @returns {string} The value.
+     */
+    function decodeEntities(text) {
+        return text.replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));?/gi, (match, decimal, hex, name) => {
+            const codePoint = decimal ? Number(decimal) : hex ? parseInt(hex, 16) : -1;
+            if (codePoint >= 0) return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+            return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : match;
+        });
+    }
+
+    /**
+     * Reads the attributes of a start tag.
+     * @param {string} html The page.
+     * @param {number} position Where the attributes start (just after the tag name).
+     * @returns {{attributes: Array<{name: string, value: string, start: number, end: number, quote: string}>, end: number}} The attributes (with the span of each value) and the offset after the tag's `>`.
+     */
+    function readAttributes(html, position) {
+        const attributes = [];
+        const name = /[^\s/>][^\s/>=]*/y;
+        const equals = /\s*=\s*/y;
+        const unquoted = /[^\s>]*/y;
+        let i = position;
+        for (;;) {
+            while (i < html.length && /[\s/]/.test(html[i])) i++;
+            if (i >= html.length || html[i] === '>') return { attributes, end: i + 1 };
+
+            name.lastIndex = i;
+            const attributeName = name.exec(html)[0];
+            i = name.lastIndex;
+            equals.lastIndex = i;
+            if (!equals.test(html)) {
+                attributes.push({ name: attributeName, value: '', start: i, end: i, quote: '' });
+                continue;
+            }
+            i = equals.lastIndex;
+            const quote = html[i] === '"' || html[i] === "'" ? html[i] : '';
+            let start = i;
+            let end;
+            if (quote) {
+                start = i + 1;
+                end = html.indexOf(quote, start);
+                if (end === -1) end = html.length;
+                i = end + 1;
+            } else {
+                unquoted.lastIndex = i;
+                unquoted.exec(html);
+                end = i = unquoted.lastIndex;
+            }
+            attributes.push({ name: attributeName, value: html.slice(start, end), start, end, quote });
+        }
+    }
+
+    /**
+     * Tells whether a `<script>` holds JavaScript that should be processed: no `src`, a JavaScript
+     * (or module) type, and some code.
+     * @param {Array<{name: string, value: string}>} attributes The tag's attributes.
+     * @returns {boolean} Whether its content is an inline script.
+     */
+    function isInlineScript(attributes) {
+        const find = (attributeName) => attributes.find((attribute) => attribute.name.toLowerCase() === attributeName);
+        if (find('src')) return false;
+        const type = find('type');
+        const mime = type ? decodeEntities(type.value).split(';')[0].trim() : '';
+        return mime === '' || SCRIPT_TYPES.test(mime);
+    }
+
+    /**
+     * Lists the inline JavaScript of a page, in document order.
+     * @param {string} html The page.
+     * @returns {Block[]} The blocks.
+     */
+    function findBlocks(html) {
+        const blocks = [];
+        const tagName = /<([a-zA-Z][^\s/>]*)/y;
+        let i = 0;
+        while ((i = html.indexOf('<', i)) !== -1) {
+            if (html.startsWith('<!--', i)) {
+                const end = html.indexOf('-->', i + 4);
+                i = end === -1 ? html.length : end + 3;
+                continue;
+            }
+            tagName.lastIndex = i;
+            const match = tagName.exec(html);
+            if (!match) {
+                // An end tag, a doctype or a processing instruction: nothing to look at inside.
+                const end = /^<[/!?]/.test(html.slice(i, i + 2)) ? html.indexOf('>', i) : i;
+                i = end === -1 ? html.length : end + 1;
+                continue;
+            }
+
+            const name = match[1].toLowerCase();
+            const { attributes, end } = readAttributes(html, tagName.lastIndex);
+            attributes.forEach((attribute) => {
+                if (HANDLER_ATTRIBUTE.test(attribute.name) && attribute.value.trim()) {
+                    const quoteLength = attribute.quote ? 1 : 0;
+                    blocks.push({
+                        kind: 'handler',
+                        name: attribute.name,
+                        start: attribute.start - quoteLength,
+                        end: Math.min(attribute.end + quoteLength, html.length),
+                        code: decodeEntities(attribute.value),
+                        quote: attribute.quote
+                    });
+                }
+            });
+            i = end;
+            if (!RAW_TEXT_ELEMENTS.has(name)) continue;
+
+            const closing = new RegExp(`</${name}[\\s/>]`, 'ig');
+            closing.lastIndex = i;
+            const close = closing.exec(html);
+            const contentEnd = close ? close.index : html.length;
+            if (name === 'script' && isInlineScript(attributes) && html.slice(i, contentEnd).trim()) {
+                blocks.push({ kind: 'script', start: i, end: contentEnd, code: html.slice(i, contentEnd), quote: '' });
+            }
+            i = contentEnd;
+        }
+        return blocks;
+    }
+
+    /**
+     * Formats code so it can replace a block: `</script` is escaped inside scripts (it would end the
+     * element), and handler values are re-encoded and quoted.
+     * @param {Block} block The block being replaced.
+     * @param {string} code The new code.
+     * @param {string} quote The quote for a handler's value; '' keeps it unquoted where that is valid (and uses '"' where not).
+     * @returns {string} The text to write in place of the block.
+     */
+    function formatBlock(block, code, quote) {
+        if (block.kind === 'script') {
+            return code.replace(/<\/(script)/gi, '<\\/$1');
+        }
+        const escaped = code.replace(/&/g, '&amp;');
+        if (quote === '' && /^[^\s"'=<>`]+$/.test(escaped)) return escaped;
+        const mark = quote || '"';
+        return mark + escaped.replace(new RegExp(mark, 'g'), mark === '"' ? '&quot;' : '&#39;') + mark;
+    }
+
+    /**
+     * Describes a block for error messages, e.g. "inline script 2 (line 14)".
+     * @param {string} html The page.
+     * @param {Block} block The block.
+     * @param {number} index Its index.
+     * @returns {string} The description.
+     */
+    function describeBlock(html, block, index) {
+        const line = html.slice(0, block.start).split('\n').length;
+        const what = block.kind === 'script' ? 'inline script' : `${block.name} handler`;
+        return `${what} ${index + 1} (line ${line})`;
+    }
+
+    /**
+     * Puts the new code of every block into the page.
+     * @param {string} html The page.
+     * @param {Block[]} blocks The blocks, in document order.
+     * @param {string[]} codes The new code of each block.
+     * @param {string[]} quotes The quote for each handler's value.
+     * @returns {string} The new page.
+     */
+    function replaceBlocks(html, blocks, codes, quotes) {
+        let result = '';
+        let last = 0;
+        blocks.forEach((block, index) => {
+            result += html.slice(last, block.start) + formatBlock(block, codes[index], quotes[index]);
+            last = block.end;
+        });
+        return result + html.slice(last);
+    }
+
+    /**
+     * Runs a method on every inline block of a page.
+     * @param {string} html The page.
+     * @param {string} method The method id (or 'pipeline'), recorded in the map.
+     * @param {function(Block, number, number): Promise<{result: string, map: string}>} runBlock Obfuscates one block; called with the block, its index and the number of blocks.
+     * @returns {Promise<{result: string, map: string, stats: object[]}>} The page, its map (a map container whose data holds the map or
+     *     log of every block, in document order) and the stats of every block and step, each tagged with its method.
+     */
+    async function encode(html, method, runBlock) {
+        const blocks = findBlocks(html);
+        if (blocks.length === 0) {
+            throw new Error("The HTML has no inline scripts or event handlers to obfuscate.");
+        }
+        const codes = [];
+        const blockMaps = [];
+        const stats = [];
+        for (const [index, block] of blocks.entries()) {
+            let output;
+            try {
+                output = await runBlock(block, index, blocks.length);
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                throw new Error(`The ${describeBlock(html, block, index)} failed: ${e.message}`);
+            }
+            codes.push(output.result);
+            if (Array.isArray(output.stats)) stats.push(...output.stats);
+            else if (output.stats) stats.push({ method, ...output.stats });
+            if (block.kind === 'script') {
+                // The map's hashes are of the code before `</script` is escaped; decoding undoes the escape.
+                const escaped = /<\/script/i.test(output.result);
+                blockMaps.push(escaped ? { kind: 'script', escaped, map: output.map } : { kind: 'script', map: output.map });
+            } else {
+                // Handlers keep their quote; an unquoted one is quoted when its new code needs it, so the
+                // map remembers the original quote for decoding.
+                blockMaps.push({ kind: 'handler', name: block.name, quote: block.quote, map: output.map });
+            }
+        }
+        const result = replaceBlocks(html, blocks, codes, blocks.map((block) => block.quote));
+        const map = containers.wrap(method, { input: html, output: result, data: { kind: MAP_KIND, blocks: blockMaps } });
+        return { result, map, stats };
+    }
+
+    /**
+     * Reverses `encode`: every block is restored with its own map.
+     * @param {string} html The obfuscated page.
+     * @param {string} [mapJson] The map from `encode`; without it, blocks are decoded without a map (enough for methods that decode with the key),
+     *     and handlers keep the quotes they have in the obfuscated page.
+     * @param {string} method The method id (or 'pipeline') chosen for decoding; it must match the map's.
+     * @param {function(Block & {map?: string}, number, number): Promise<{result: string}>} runBlock Restores one block; the block carries its map.
+     * @returns {Promise<{result: string, map: string}>} The restored page and a log message.
+     */
+    async function decode(html, mapJson, method, runBlock) {
+        const blocks = findBlocks(html);
+        const container = mapJson ? containers.unwrap(mapJson, method, html) : null;
+        if (container) {
+            const data = container.data;
+            if (!data || data.kind !== MAP_KIND || !Array.isArray(data.blocks)) {
+                throw new Error("This map is not for an HTML page. Deobfuscate the page with the map its obfuscation wrote.");
+            }
+            const matches = data.blocks.length === blocks.length
+                && data.blocks.every((entry, index) => entry.kind === blocks[index].kind);
+            if (!matches) {
+                throw new Error(`The HTML does not match the map: expected ${data.blocks.length} block(s), found ${blocks.length}.`);
+            }
+            blocks.forEach((block, index) => {
+                block.map = data.blocks[index].map;
+                if (data.blocks[index].escaped) block.code = block.code.replace(/<\\\/(script)/gi, '</$1');
+                if (typeof data.blocks[index].quote === 'string') block.originalQuote = data.blocks[index].quote;
+            });
+        }
+
+        const codes = [];
+        for (const [index, block] of blocks.entries()) {
+            try {
+                codes.push((await runBlock(block, index, blocks.length)).result);
+            } catch (e) {
+                if (e.name === 'AbortError') throw e;
+                throw new Error(`The ${describeBlock(html, block, index)} failed: ${e.message}`);
+            }
+        }
+        const scripts = blocks.filter((block) => block.kind === 'script').length;
+        const result = replaceBlocks(html, blocks, codes, blocks.map((block) => ('originalQuote' in block ? block.originalQuote : block.quote)));
+        let log = `Restored ${scripts} inline script(s) and ${blocks.length - scripts} event handler(s).`;
+        if (container && containers.matchesInput(container, result)) log += ' The page is identical to the original.';
+        return { result, map: log };
+    }
+
+    return { findBlocks, encode, decode };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = htmlSource;
+}
@@ -0,0 +1,184 @@
+/*
+ * File: index.mjs
+ * Headless entry point: exposes the obfuscation methods as an ES module for Node builds and the CLI.
+ * The method files are the same scripts the browser loads; under Node they export themselves
+ * and register in the method registry when imported.
+ */
+import methodRegistry from './registry.js';
+import pipeline from './pipeline.js';
+import verifier from './verify.js';
+import obfuscationReport from './report.js';
+import htmlSource from './html.js';
+import randomSource from './random.js';
+import './methods_lana-vortex.js';
+import './methods_minify.js';
+import './methods_lexical-scramble.js';
+import './methods_string-conceal.js';
+
+/** Registers a third-party method; see `MethodDefinition` in registry.js. */
+export const registerMethod = methodRegistry.registerMethod;
+
+/**
+ * Lists the ids accepted as `method`: every registered method plus 'pipeline'.
+ * @returns {string[]} The method ids.
+ */
+export function listMethods() {
+    return [...methodRegistry.listMethods().map((method) => method.id), 'pipeline'];
+}
+
+/**
+ * Tells whether `deobfuscate` needs the map that `obfuscate` returned (rather than only a log).
+ * @param {string} method One of `listMethods()`.
+ * @returns {boolean} Whether the map must be kept.
+ */
+export function requiresMap(method) {
+    return method === 'pipeline' || methodRegistry.getMethod(method).deobfuscateRequiresMap;
+}
+
+/**
+ * Lists the key references a pipeline manifest expects, all mapped to one key.
+ * @param {string} manifestJson The pipeline manifest.
+ * @param {string} key The key to use for every step.
+ * @returns {Object<string, string>} Keys by `keyRef`.
+ */
+function keysFromManifest(manifestJson, key) {
+    try {
+        const { steps } = JSON.parse(manifestJson).data;
+        return Object.fromEntries(steps.filter((step) => step.keyRef).map((step) => [step.keyRef, key]));
+    } catch (e) {
+        return {}; // pipeline.reverse reports the broken manifest.
+    }
+}
+
+/**
+ * Makes every Lexical Scramble run (the method's, or its pipeline steps') rename private properties
+ * by one plan over all the given code, since objects cross files and page blocks. A plan already
+ * in the options is kept.
+ * @param {string[]} codes The code of every file or block.
+ * @param {object} options The options of `obfuscate`.
+ * @returns {object} The options with `propertyRenames` planned where `renamePrivate` is set.
+ */
+export function planSharedProperties(codes, options) {
+    const { handler } = methodRegistry.getMethod('lexical-scramble');
+    const plan = (stepOptions = {}) => (stepOptions.renamePrivate && !stepOptions.propertyRenames
+        ? { ...stepOptions, propertyRenames: handler.planPropertyRenames(codes, stepOptions) }
+        : stepOptions);
+    if (options.method === 'pipeline' && options.steps) {
+        return { ...options, steps: options.steps.map((step) => (step.method === 'lexical-scramble' ? { ...step, options: plan(step.options) } : step)) };
+    }
+    return (options.method || 'lexical-scramble') === 'lexical-scramble' ? plan(options) : options;
+}
+
+/**
+ * Obfuscates code with one method, or with a chain of methods when `method` is 'pipeline'.
+ * Any other option (such as `mode` or `sourceMap`) is passed to the method. With a `seed`, the same
+ * input and options always give the same output and map.
+ * @param {string} code The JavaScript code.
+ * @param {object} [options]
+ * @param {string} [options.method='lexical-scramble'] One of `listMethods()`.
+ * @param {string} [options.key] The secret key; for a pipeline, the default for steps without their own.
+ * @param {Array<{method: string, key?: string, keyRef?: string, options?: object}>} [options.steps] Pipeline steps.
+ * @param {string|number} [options.seed] Seeds the random choices (names, shuffles) of the method or of every step.
+ * @param {string} [options.preset] Lexical Scramble: the globals of an environment to keep ('browser', 'node', 'worker'; see names.js).
+ * @param {string|string[]} [options.preserve] Lexical Scramble: names, globs and regexes never to rename.
+ * @param {boolean} [options.renamePrivate] Lexical Scramble: also rename `_private` properties.
+ * @returns {Promise<{result: string, map: string, sourceMap?: string, stats?: object}>} The obfuscated code, its map or log, optionally
+ *     a Source Map v3, and the counts `report` reads.
+ */
+export async function obfuscate(code, { method = 'lexical-scramble', key, steps, ...options } = {}) {
+    if (method === 'pipeline') {
+        return pipeline.run(code, (steps || []).map((step) => ({ key, ...step })), { seed: options.seed });
+    }
+    return methodRegistry.getMethod(method).handler.encode(code, key, options);
+}
+
+/**
+ * Reverses `obfuscate`.
+ * @param {string} code The obfuscated code.
+ * @param {object} [options]
+ * @param {string} [options.method='lexical-scramble'] One of `listMethods()`.
+ * @param {string} [options.key] The secret key; for a pipeline, used for every step unless `keys` is given.
+ * @param {string} [options.map] The map (or manifest, for a pipeline) produced by `obfuscate`; optional for methods that decode with the key.
+ * @param {Object<string, string>} [options.keys] Pipeline keys by `keyRef`.
+ * @returns {Promise<{result: string, map: string}>} The restored code and a log message.
+ */
+export async function deobfuscate(code, { method = 'lexical-scramble', key, map, keys } = {}) {
+    if (method === 'pipeline') {
+        return pipeline.reverse(code, map, keys || keysFromManifest(map, key));
+    }
+    const entry = methodRegistry.getMethod(method);
+    if (!entry.canDeobfuscate) {
+        throw new Error(`Method "${method}" cannot deobfuscate.`);
+    }
+    if (entry.deobfuscateRequiresMap) {
+        return entry.handler.decode(code, map);
+    }
+    // With the map, a key-based method also checks that the code is the output the map was made for.
+    return entry.handler.decode(code, key, map ? { map } : {});
+}
+
+/**
+ * Checks that obfuscated code still behaves like the original: both run in isolated `vm` sandboxes
+ * and their console output, return values and thrown errors are compared.
+ * @param {string} original The original code.
+ * @param {string} obfuscated The obfuscated code.
+ * @param {{timeout?: number, passphrase?: string}} [options] Milliseconds each side may run, and the Lana-Vortex secure mode passphrase.
+ * @returns {Promise<{equivalent: boolean, differences: string[], original: object, obfuscated: object}>} The report; `differences` explains any mismatch.
+ */
+export const verify = verifier.verify;
+
+/**
+ * Reports on a run of `obfuscate` or `obfuscateHtml`: the sizes (plain and gzipped) and byte entropy of
+ * the input and output, what each method transformed and left alone, and, when the output decodes
+ * itself at load time (Lana-Vortex), the estimated parse and decode time that adds to every load.
+ * @param {string} code The original code.
+ * @param {{result: string, stats?: object}} output What `obfuscate` returned.
+ * @param {object} [options] The options given to `obfuscate` (`method`, `key`, `steps`), plus:
+ * @param {number} [options.durationMs] How long the run took.
+ * @param {boolean} [options.overhead=true] Whether to estimate the load-time overhead; leave it off for pages.
+ * @returns {Promise<object>} The report, ready for `JSON.stringify`; `formatReport` writes it as text.
+ */
+export async function report(code, output, { method = 'lexical-scramble', key, steps, durationMs, overhead = true } = {}) {
+    // The wrapper is the last step, and so is the key that times its decoding.
+    const last = method === 'pipeline' && steps && steps.length ? steps[steps.length - 1] : null;
+    return obfuscationReport.build({
+        method,
+        input: code,
+        output: output.result,
+        stats: output.stats,
+        durationMs,
+        key: last && last.key !== undefined ? last.key : key,
+        overhead
+    });
+}
+
+/** Combines the reports of several files, by path, into one (totals and counts by method); see report.js. */
+export const combineReports = obfuscationReport.combine;
+
+/** Writes a report as text. */
+export const formatReport = obfuscationReport.format;
+
+/**
+ * Obfuscates the inline JavaScript of an HTML page: every `<script>` without `src` and every `on*`
+ * attribute is run through `obfuscate` with the same options; the rest of the page is kept as is.
+ * @param {string} html The page.
+ * @param {object} [options] The options of `obfuscate`; source maps are not made for pages. Each block
+ *     gets its own seed derived from `seed`.
+ * @returns {Promise<{result: string, map: string, stats: object[]}>} The page, its map (which holds the map or log of every block)
+ *     and the counts of every block.
+ */
+export async function obfuscateHtml(html, { sourceMap, sourceFileName, outputFileName, ...options } = {}) {
+    const shared = planSharedProperties(htmlSource.findBlocks(html).map((block) => block.code), options);
+    return htmlSource.encode(html, options.method || 'lexical-scramble',
+        (block, index) => obfuscate(block.code, { ...shared, seed: randomSource.derive(options.seed, index + 1) }));
+}
+
+/**
+ * Reverses `obfuscateHtml`, restoring every block with its own map.
+ * @param {string} html The obfuscated page.
+ * @param {object} [options] The options of `deobfuscate`; `map` is the map from `obfuscateHtml`.
+ * @returns {Promise<{result: string, map: string}>} The restored page and a log message.
+ */
+export async function deobfuscateHtml(html, { map, ...options } = {}) {
+    return htmlSource.decode(html, map, options.method || 'lexical-scramble', (block) => deobfuscate(block.code, { ...options, map: block.map }));
+}
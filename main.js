@@ -4,48 +4,223 @@ document.addEventListener('DOMContentLoaded', () => {
     const methodSelect = get('method-select');
     const keyInputContainer = get('key-input-container');
     const secretKeyInput = get('secret-key');
+    const methodOptionsContainer = get('method-options');
+    const pipelineContainer = get('pipeline-container');
+    const pipelineStepsList = get('pipeline-steps');
+    const addStepBtn = get('add-step-btn');
     const codeInput = get('code-input');
     const fileInput = get('file-input');
+    const pluginInput = get('plugin-input');
     const codeOutput = get('code-output');
     const mapOutput = get('map-output');
     const obfuscateBtn = get('obfuscate-btn');
     const deobfuscateBtn = get('deobfuscate-btn');
+    const verifyBtn = get('verify-btn');
+    const progressContainer = get('progress-container');
+    const progressBar = get('progress-bar');
+    const progressLabel = get('progress-label');
+    const cancelBtn = get('cancel-btn');
+    const verifyOutput = get('verify-output');
+    const reportOutput = get('report-output');
+    const reportDownloadBtn = get('report-download-btn');
     const copyOutputBtn = get('copy-output-btn');
     const copyMapBtn = get('copy-map-btn');
+    const downloadMapBtn = get('download-map-btn');
+    const saveMapBtn = get('save-map-btn');
+    const mapFileInput = get('map-file-input');
+    const seedInput = get('seed-input');
+    const sourceMapToggle = get('source-map-toggle');
+    const htmlModeToggle = get('html-mode-toggle');
     const notification = get('notification');
+    const batchDropZone = get('batch-drop-zone');
+    const folderInput = get('folder-input');
+    const zipInput = get('zip-input');
+    const batchContainer = get('batch-container');
+    const batchSummary = get('batch-summary');
+    const batchSelectAll = get('batch-select-all');
+    const batchFileList = get('batch-file-list');
+    const shareGlobalsToggle = get('share-globals-toggle');
+    const batchRunBtn = get('batch-run-btn');
+    const batchDownloadBtn = get('batch-download-btn');
+    const projectContainer = get('project-container');
+    const projectSelect = get('project-select');
+    const projectNameInput = get('project-name');
+    const storeKeysToggle = get('store-keys-toggle');
+    const keystorePassphraseInput = get('keystore-passphrase');
+    const keystoreUnlockBtn = get('keystore-unlock-btn');
+    const projectSaveBtn = get('project-save-btn');
+    const projectDeleteBtn = get('project-delete-btn');
+    const projectHistory = get('project-history');
 
-    // --- Method Mapping ---
-    const methods = {
-        'lana-vortex': { 
-            handler: lanaVortex, 
-            requiresKey: true,
-            canDeobfuscate: true,
-            deobfuscateRequiresMap: false
-        },
-        'lexical-scramble': { 
-            handler: lexicalScramble, 
-            requiresKey: false,
-            canDeobfuscate: true,
-            deobfuscateRequiresMap: true
-        },
-        'string-conceal': { 
-            handler: stringConceal, 
-            requiresKey: true,
-            canDeobfuscate: true, // Reveals strings, doesn't reconstruct code
-            deobfuscateRequiresMap: false
-        }
+    // --- State ---
+    let sourceFileName = 'input.js';
+    let lastSourceMap = null;
+    let lastReport = null; // The report of the last obfuscation, for download
+    const methodOptionValues = {}; // Chosen options, per method id
+    let batchFiles = []; // Project scripts: {path, code, selected}
+    let batchZip = null; // The last batch output
+    let currentProjectId = null; // The open saved project; its runs are recorded
+    const newStep = (method) => ({ method, key: '', options: methodRegistry.defaultOptions(method) });
+    let pipelineSteps = ['string-conceal', 'lexical-scramble', 'lana-vortex']
+        .filter((id) => methodRegistry.listMethods().some((method) => method.id === id))
+        .map(newStep);
+
+    // --- Pipeline Method ---
+    // The pipeline is not a registered method: its steps and keys come from the builder below
+    // (see `buildJob`).
+    const pipelineMethod = {
+        id: 'pipeline',
+        label: 'Pipeline (Gabungkan Beberapa Metode)',
+        requiresKey: false, // Each step has its own key
+        canDeobfuscate: true,
+        deobfuscateRequiresMap: true,
+        options: []
     };
 
+    const getSelectedMethod = () => (methodSelect.value === 'pipeline'
+        ? pipelineMethod
+        : methodRegistry.getMethod(methodSelect.value));
+
     // --- UI Logic ---
+    function renderMethodSelect() {
+        const selected = methodSelect.value;
+        methodSelect.innerHTML = '';
+        [...methodRegistry.listMethods(), pipelineMethod].forEach((method) => {
+            const option = document.createElement('option');
+            option.value = method.id;
+            option.textContent = method.label;
+            methodSelect.appendChild(option);
+        });
+        if (selected) methodSelect.value = selected;
+    }
+
+    /**
+     * Builds the control for one entry of a method's options schema.
+     * @param {object} option The schema entry.
+     * @param {*} value The current value.
+     * @param {function(*): void} onChange Called with the new value.
+     * @returns {HTMLElement} The control.
+     */
+    function createOptionControl(option, value, onChange) {
+        let control;
+        if (option.type === 'select') {
+            control = document.createElement('select');
+            control.className = 'select-custom';
+            option.choices.forEach((choice) => {
+                const element = document.createElement('option');
+                element.value = choice.value;
+                element.textContent = choice.label;
+                control.appendChild(element);
+            });
+            control.value = value;
+            control.addEventListener('change', () => onChange(control.value));
+        } else if (option.type === 'checkbox') {
+            control = document.createElement('input');
+            control.type = 'checkbox';
+            control.className = 'h-4 w-4';
+            control.checked = Boolean(value);
+            control.addEventListener('change', () => onChange(control.checked));
+        } else {
+            control = document.createElement('input');
+            control.type = option.type === 'number' ? 'number' : 'text';
+            control.className = 'input-custom';
+            control.value = value === undefined ? '' : value;
+            control.addEventListener('input', () => onChange(option.type === 'number' ? Number(control.value) : control.value));
+        }
+        control.title = option.label;
+        return control;
+    }
+
+    function renderMethodOptions() {
+        const method = getSelectedMethod();
+        if (!methodOptionValues[method.id]) {
+            methodOptionValues[method.id] = method === pipelineMethod ? {} : methodRegistry.defaultOptions(method.id);
+        }
+        const values = methodOptionValues[method.id];
+        methodOptionsContainer.innerHTML = '';
+        method.options.forEach((option) => {
+            const wrapper = document.createElement('div');
+            const label = document.createElement('label');
+            label.className = 'block text-sm font-medium text-gray-400 mb-1';
+            label.textContent = `${option.label}:`;
+            wrapper.append(label, createOptionControl(option, values[option.name], (value) => { values[option.name] = value; }));
+            methodOptionsContainer.appendChild(wrapper);
+        });
+    }
+
     function updateUI() {
-        const selectedMethod = methods[methodSelect.value];
+        const selectedMethod = getSelectedMethod();
         keyInputContainer.style.display = selectedMethod.requiresKey ? 'block' : 'none';
+        renderMethodOptions();
+        pipelineContainer.style.display = methodSelect.value === 'pipeline' ? 'block' : 'none';
         deobfuscateBtn.style.display = selectedMethod.canDeobfuscate ? 'inline-flex' : 'none';
         mapOutput.placeholder = selectedMethod.deobfuscateRequiresMap 
             ? "Peta untuk deobfuscation akan muncul di sini. Anda membutuhkannya untuk membalikkan proses."
             : "Log proses atau informasi tambahan akan muncul di sini.";
     }
 
+    function renderPipelineSteps() {
+        pipelineStepsList.innerHTML = '';
+        pipelineSteps.forEach((step, index) => {
+            const row = document.createElement('div');
+            row.className = 'flex flex-wrap items-center gap-2';
+
+            const label = document.createElement('span');
+            label.className = 'text-sm text-gray-400 w-6';
+            label.textContent = `${index + 1}.`;
+
+            const select = document.createElement('select');
+            select.className = 'select-custom flex-1';
+            methodRegistry.listMethods().forEach((method) => {
+                const option = document.createElement('option');
+                option.value = method.id;
+                option.textContent = method.label;
+                select.appendChild(option);
+            });
+            select.value = step.method;
+            select.addEventListener('change', () => {
+                Object.assign(step, newStep(select.value), { key: step.key });
+                renderPipelineSteps();
+            });
+            row.append(label, select);
+
+            const stepMethod = methodRegistry.getMethod(step.method);
+            if (stepMethod.requiresKey) {
+                const keyInput = document.createElement('input');
+                keyInput.type = 'text';
+                keyInput.className = 'input-custom flex-1';
+                keyInput.placeholder = `Kunci langkah ${index + 1}`;
+                keyInput.value = step.key;
+                keyInput.addEventListener('input', () => { step.key = keyInput.value; });
+                row.appendChild(keyInput);
+            }
+
+            stepMethod.options.forEach((option) => {
+                const control = createOptionControl(option, step.options[option.name], (value) => { step.options[option.name] = value; });
+                control.classList.add('flex-1');
+                row.appendChild(control);
+            });
+
+            const actions = [
+                ['↑', () => index > 0 && pipelineSteps.splice(index - 1, 0, pipelineSteps.splice(index, 1)[0])],
+                ['↓', () => index < pipelineSteps.length - 1 && pipelineSteps.splice(index + 1, 0, pipelineSteps.splice(index, 1)[0])],
+                ['✕', () => pipelineSteps.splice(index, 1)]
+            ];
+            actions.forEach(([text, action]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = text;
+                button.addEventListener('click', () => {
+                    action();
+                    renderPipelineSteps();
+                });
+                row.appendChild(button);
+            });
+
+            pipelineStepsList.appendChild(row);
+        });
+    }
+
     function showNotification(message, isError = false) {
         notification.textContent = message;
         notification.style.backgroundColor = isError ? '#da3633' : '#238636';
@@ -53,6 +228,286 @@ document.addEventListener('DOMContentLoaded', () => {
         setTimeout(() => notification.classList.remove('show'), 3000);
     }
 
+    /**
+     * Builds the job that methodRunner runs for the selected method.
+     * @param {'encode'|'decode'} action What to do.
+     * @param {string} code The code.
+     * @param {string} arg The key, or the map when the method decodes with one.
+     * @param {string} [fileName] The input's file name, for source maps.
+     * @param {string} [seed] The seed; parts of a larger job (page blocks, batch files) get their own.
+     * @param {string} [map] The map at hand when decoding; a key-based method checks the code against it.
+     * @returns {object} The job.
+     */
+    function buildJob(action, code, arg, fileName = sourceFileName, seed = seedInput.value, map = mapOutput.value) {
+        const method = getSelectedMethod();
+        const job = { action, method: method.id, code, arg };
+        if (action === 'decode' && !method.deobfuscateRequiresMap && mapContainer.isContainer(map)) {
+            // A key-based method checks the code against its map when one is at hand.
+            job.options = { map };
+        }
+        if (method.id === 'pipeline') {
+            job.steps = pipelineSteps;
+            job.keys = Object.fromEntries(pipelineSteps.map((step, i) => [`step${i + 1}`, step.key]));
+            job.seed = seed;
+        } else if (action === 'encode') {
+            job.options = {
+                ...methodOptionValues[method.id],
+                seed,
+                sourceMap: sourceMapToggle.checked,
+                sourceFileName: fileName,
+                outputFileName: fileName.replace(/(\.[^.]*)?$/, '.obf.js')
+            };
+        }
+        return job;
+    }
+
+    /**
+     * Shows the progress bar and the Cancel button while a task runs, with the run buttons disabled.
+     * @param {function(function(number): void): Promise<*>} task Receives the progress setter (0 to 1).
+     * @returns {Promise<*>} The task's result.
+     */
+    async function withProgress(task) {
+        const setProgress = (fraction) => {
+            const percent = Math.round(fraction * 100);
+            progressBar.value = percent;
+            progressLabel.textContent = `${percent}%`;
+        };
+        setProgress(0);
+        progressContainer.classList.remove('hidden');
+        obfuscateBtn.disabled = deobfuscateBtn.disabled = batchRunBtn.disabled = true;
+        try {
+            return await task(setProgress);
+        } finally {
+            progressContainer.classList.add('hidden');
+            obfuscateBtn.disabled = deobfuscateBtn.disabled = batchRunBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Runs a job in the worker, showing its progress and the Cancel button meanwhile.
+     * @param {object} job The job from `buildJob`.
+     * @returns {Promise<{result: string, map: string, sourceMap?: string}>} The method's output.
+     */
+    function runJob(job) {
+        return withProgress((setProgress) => methodRunner.run(job, setProgress));
+    }
+
+    /**
+     * Runs the selected method on every inline script and event handler of the HTML input, one job
+     * per block. Blocks get no source maps.
+     * @param {'encode'|'decode'} action What to do.
+     * @param {string} html The page.
+     * @param {string} key The secret key.
+     * @param {string} [mapJson] The page's map, for `decode`.
+     * @returns {Promise<{result: string, map: string}>} The page and its map (or a log).
+     */
+    function runHtmlJob(action, html, key, mapJson) {
+        const method = getSelectedMethod();
+        // Blocks share objects, so their private properties are renamed by one plan.
+        const plans = action === 'encode' ? planSharedNames(htmlSource.findBlocks(html), false) : null;
+        return withProgress((setProgress) => {
+            const runBlock = (block, index, count) => {
+                const arg = action === 'decode' && method.deobfuscateRequiresMap ? block.map : key;
+                const job = withSharedNames(buildJob(action, block.code, arg, sourceFileName, randomSource.derive(seedInput.value, index + 1), block.map), plans);
+                if (job.options) job.options.sourceMap = false;
+                return methodRunner.run(job, (fraction) => setProgress((index + fraction) / count));
+            };
+            return action === 'encode'
+                ? htmlSource.encode(html, method.id, runBlock)
+                : htmlSource.decode(html, mapJson, method.id, runBlock);
+        });
+    }
+
+    /**
+     * Reports a failed job; a cancelled one is not an error.
+     * @param {Error} e The error.
+     */
+    function showJobError(e) {
+        if (e.name === 'AbortError') {
+            showNotification('Proses dibatalkan.');
+        } else {
+            showNotification(`Error: ${e.message}`, true);
+        }
+    }
+
+    // --- Batch Mode ---
+    function renderBatchFiles() {
+        batchContainer.classList.toggle('hidden', batchFiles.length === 0);
+        batchFileList.innerHTML = '';
+        batchFiles.forEach((file) => {
+            const row = document.createElement('label');
+            row.className = 'flex items-center gap-2 text-gray-300';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'h-4 w-4';
+            checkbox.checked = file.selected;
+            checkbox.addEventListener('change', () => {
+                file.selected = checkbox.checked;
+                updateBatchSummary();
+            });
+            row.append(checkbox, document.createTextNode(file.path));
+            batchFileList.appendChild(row);
+        });
+        updateBatchSummary();
+    }
+
+    function updateBatchSummary() {
+        const selected = batchFiles.filter((file) => file.selected).length;
+        batchSummary.textContent = `${selected} dari ${batchFiles.length} file dipilih`;
+        batchSelectAll.checked = selected === batchFiles.length;
+    }
+
+    /**
+     * Loads the scripts of dropped or chosen files (folders and .zip files included) into the list.
+     * @param {Promise<Array<{path: string, file: File}>>|Array<{path: string, file: File}>} collected The files.
+     */
+    async function loadBatch(collected) {
+        try {
+            const { scripts, config } = await batchProject.loadProject(await collected);
+            if (scripts.length === 0) {
+                showNotification('Tidak ada file JavaScript yang ditemukan.', true);
+                return;
+            }
+            if (config) applyProjectConfig(reservedNames.readConfig(config));
+            batchFiles = scripts.map((script) => ({ ...script, selected: true }));
+            batchZip = null;
+            renderBatchFiles();
+            showNotification(`${scripts.length} file JavaScript dimuat${config ? `, beserta ${reservedNames.CONFIG_FILE_NAME}` : ''}.`);
+        } catch (e) {
+            showNotification(`Error: ${e.message}`, true);
+        }
+    }
+
+    /**
+     * Puts a project's renaming settings into the Lexical Scramble options and its pipeline steps.
+     * @param {object} settings The options read from `surxrat.config.json`.
+     */
+    function applyProjectConfig(settings) {
+        methodOptionValues['lexical-scramble'] = { ...methodRegistry.defaultOptions('lexical-scramble'), ...methodOptionValues['lexical-scramble'], ...settings };
+        pipelineSteps.filter((step) => step.method === 'lexical-scramble').forEach((step) => Object.assign(step.options, settings));
+        renderMethodOptions();
+        renderPipelineSteps();
+    }
+
+    /**
+     * The Lexical Scramble options of the current run (its first step's, in a pipeline).
+     * @returns {object|null} The options, or null when Lexical Scramble does not run.
+     */
+    function lexicalOptions() {
+        const method = getSelectedMethod();
+        if (method.id === 'lexical-scramble') {
+            return methodOptionValues['lexical-scramble'] || methodRegistry.defaultOptions('lexical-scramble');
+        }
+        const step = method.id === 'pipeline' && pipelineSteps.find((candidate) => candidate.method === 'lexical-scramble');
+        return step ? step.options : null;
+    }
+
+    /**
+     * Plans the names Lexical Scramble must rename alike in every file: the shared globals (when the
+     * option is on) and the private properties (when they are renamed).
+     * @param {Array<{code: string}>} files The files (or page blocks) to process.
+     * @param {boolean} [shareGlobals] Whether the shared-globals option applies.
+     * @returns {{globalRenames?: Object<string, string>, propertyRenames?: Object<string, string>}|null} The plans, or null.
+     */
+    function planSharedNames(files, shareGlobals = shareGlobalsToggle.checked) {
+        const options = lexicalOptions();
+        if (!options) return null;
+        const { handler } = methodRegistry.getMethod('lexical-scramble');
+        const codes = files.map((file) => file.code);
+        const plans = {};
+        if (shareGlobals) plans.globalRenames = handler.planGlobalRenames(codes, options);
+        if (options.renamePrivate) plans.propertyRenames = handler.planPropertyRenames(codes, options);
+        return Object.keys(plans).length > 0 ? plans : null;
+    }
+
+    /**
+     * Passes the shared renames to Lexical Scramble (or to its pipeline steps).
+     * @param {object} job The job from `buildJob`.
+     * @param {{globalRenames?: Object<string, string>, propertyRenames?: Object<string, string>}|null} plans The plans from `planSharedNames`.
+     * @returns {object} The job.
+     */
+    function withSharedNames(job, plans) {
+        if (plans) {
+            const withRenames = (options) => ({ ...options, ...plans });
+            if (job.method === 'lexical-scramble') job.options = withRenames(job.options);
+            if (job.steps) {
+                job.steps = job.steps.map((step) => (step.method === 'lexical-scramble' ? { ...step, options: withRenames(step.options) } : step));
+            }
+        }
+        return job;
+    }
+
+    /**
+     * Builds the job for one batch file, passing the shared renames to Lexical Scramble.
+     * @param {{path: string, code: string}} file The file.
+     * @param {{globalRenames?: Object<string, string>, propertyRenames?: Object<string, string>}|null} plans The plans from `planSharedNames`.
+     * @returns {object} The job.
+     */
+    function buildBatchJob(file, plans) {
+        const seed = randomSource.derive(seedInput.value, file.path);
+        return withSharedNames(buildJob('encode', file.code, secretKeyInput.value, file.path.split('/').pop(), seed), plans);
+    }
+
+    async function runBatch() {
+        const files = batchFiles.filter((file) => file.selected);
+        if (files.length === 0) {
+            showNotification('Pilih minimal satu file!', true);
+            return;
+        }
+
+        const outputs = [];
+        const failures = [];
+        try {
+            const plans = planSharedNames(files);
+            const reports = {};
+            await withProgress(async (setProgress) => {
+                for (const [index, file] of files.entries()) {
+                    try {
+                        const start = performance.now();
+                        const output = await methodRunner.run(buildBatchJob(file, plans),
+                            (fraction) => setProgress((index + fraction) / files.length));
+                        outputs.push({ path: file.path, input: file.code, ...output });
+                        // The load overhead is left out here: timing it decodes every file on the page's thread.
+                        reports[file.path] = await obfuscationReport.build({
+                            method: getSelectedMethod().id,
+                            input: file.code,
+                            output: output.result,
+                            stats: output.stats,
+                            durationMs: performance.now() - start,
+                            overhead: false
+                        });
+                    } catch (e) {
+                        if (e.name === 'AbortError') throw e;
+                        failures.push(`${file.path}: ${e.message}`);
+                    }
+                }
+            });
+            const mapJson = batchProject.buildMap(getSelectedMethod().id, outputs, plans && plans.globalRenames);
+            // The renaming settings are saved with the project, so the next run keeps the same names.
+            const options = lexicalOptions();
+            showReport(obfuscationReport.combine(getSelectedMethod().id, reports));
+            batchZip = await batchProject.buildZip(outputs, mapJson, options ? reservedNames.writeConfig(options) : undefined,
+                JSON.stringify(lastReport, null, 2));
+            mapOutput.value = [`Batch selesai: ${outputs.length} file diproses, ${failures.length} gagal.`, ...failures].join('\n');
+            showNotification(failures.length ? `${failures.length} file gagal diproses.` : 'Semua file berhasil di-obfuscate!', failures.length > 0);
+        } catch (e) {
+            showJobError(e);
+        }
+    }
+
+    function downloadBatch() {
+        if (!batchZip) {
+            showNotification('Belum ada hasil batch. Jalankan obfuscate file terpilih terlebih dahulu.', true);
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(batchZip);
+        link.download = 'obfuscated.zip';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        showNotification('Hasil batch berhasil diunduh!');
+    }
+
     function copyToClipboard(textarea, name) {
         if (!textarea.value) {
             showNotification(`${name} kosong, tidak ada yang bisa disalin.`, true);
@@ -64,8 +519,324 @@ document.addEventListener('DOMContentLoaded', () => {
         window.getSelection().removeAllRanges();
     }
 
+    function downloadSourceMap() {
+        if (!lastSourceMap) {
+            showNotification("Belum ada source map. Aktifkan opsi Source Map lalu obfuscate.", true);
+            return;
+        }
+        const blob = new Blob([lastSourceMap], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${JSON.parse(lastSourceMap).file}.map`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        showNotification('Source map berhasil diunduh!');
+    }
+
+    /**
+     * Shows a report and keeps it for "Unduh Laporan".
+     * @param {object|null} report A report from obfuscationReport (report.js), or null to clear it.
+     */
+    function showReport(report) {
+        lastReport = report;
+        reportOutput.value = report ? obfuscationReport.format(report) : '';
+    }
+
+    /**
+     * Measures the last obfuscation and shows the report.
+     * @param {string} input The code that was obfuscated.
+     * @param {{result: string, stats?: object}} output The method's output.
+     * @param {number} durationMs How long it took.
+     */
+    async function reportRun(input, output, durationMs) {
+        const method = getSelectedMethod();
+        // The wrapper, if any, is the last step; its key is needed to time the decoding.
+        const key = method.id === 'pipeline' ? (pipelineSteps[pipelineSteps.length - 1] || {}).key : secretKeyInput.value;
+        try {
+            showReport(await obfuscationReport.build({
+                method: method.id,
+                input,
+                output: output.result,
+                stats: output.stats,
+                durationMs,
+                key,
+                // A page's blocks each carry their own wrapper, so one estimate would not describe the page.
+                overhead: !htmlModeToggle.checked
+            }));
+        } catch (e) {
+            showReport(null);
+            showNotification(`Laporan gagal dibuat: ${e.message}`, true);
+        }
+    }
+
+    function downloadReport() {
+        if (!lastReport) {
+            showNotification("Belum ada laporan. Obfuscate kode terlebih dahulu.", true);
+            return;
+        }
+        const blob = new Blob([JSON.stringify(lastReport, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = lastReport.files ? 'surxrat-report.json' : `${sourceFileName.replace(/(\.[^.]*)?$/, '')}.obf.report.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        showNotification('Laporan berhasil diunduh!');
+    }
+
+    function downloadMap() {
+        try {
+            JSON.parse(mapOutput.value);
+        } catch (e) {
+            showNotification("Belum ada peta. Obfuscate kode terlebih dahulu.", true);
+            return;
+        }
+        const blob = new Blob([mapOutput.value], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${sourceFileName.replace(/(\.[^.]*)?$/, '')}.obf.map.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        showNotification('Peta berhasil diunduh!');
+    }
+
+    // --- Saved Projects ---
+    /**
+     * The settings a project or a run records. Keys are not among them (see `currentKeys`).
+     * @returns {object} The method, its options, the pipeline steps, the seed and the input settings.
+     */
+    function projectSettings() {
+        return {
+            method: methodSelect.value,
+            options: { ...methodOptionValues[methodSelect.value] },
+            steps: pipelineSteps,
+            seed: seedInput.value,
+            sourceMap: sourceMapToggle.checked,
+            html: htmlModeToggle.checked,
+            fileName: sourceFileName
+        };
+    }
+
+    /**
+     * Puts saved settings back into the controls.
+     * @param {object} settings Settings from `projectSettings`, as saved in a project or a run.
+     * @param {boolean} keepKeys Whether to keep the keys already typed (same project) or clear them.
+     */
+    function applySettings(settings, keepKeys) {
+        const registered = (id) => methodRegistry.listMethods().some((method) => method.id === id);
+        if (settings.method !== 'pipeline' && !registered(settings.method)) {
+            throw new Error(`Metode "${settings.method}" tidak tersedia. Muat skripnya terlebih dahulu.`);
+        }
+        const oldKeys = pipelineSteps.map((step) => step.key);
+        pipelineSteps = (settings.steps || []).filter((step) => registered(step.method)).map((step, i) => ({
+            method: step.method,
+            key: keepKeys && oldKeys[i] !== undefined ? oldKeys[i] : '',
+            options: { ...methodRegistry.defaultOptions(step.method), ...step.options }
+        }));
+        if (settings.method !== 'pipeline') {
+            methodOptionValues[settings.method] = { ...methodRegistry.defaultOptions(settings.method), ...settings.options };
+        }
+        if (!keepKeys) secretKeyInput.value = '';
+        methodSelect.value = settings.method;
+        seedInput.value = settings.seed || '';
+        sourceMapToggle.checked = Boolean(settings.sourceMap);
+        htmlModeToggle.checked = Boolean(settings.html);
+        sourceFileName = settings.fileName || 'input.js';
+        updateUI();
+        renderPipelineSteps();
+    }
+
+    /**
+     * The keys in the controls, as the keystore saves them.
+     * @returns {{key: string, stepKeys: string[]}} The method's key and the pipeline step keys.
+     */
+    function currentKeys() {
+        return { key: secretKeyInput.value, stepKeys: pipelineSteps.map((step) => step.key) };
+    }
+
+    async function renderProjects() {
+        const projects = await projectStore.listProjects();
+        projectSelect.innerHTML = '';
+        const blank = document.createElement('option');
+        blank.value = '';
+        blank.textContent = '— Proyek baru —';
+        projectSelect.appendChild(blank);
+        projects.forEach((project) => {
+            const option = document.createElement('option');
+            option.value = project.id;
+            option.textContent = project.name;
+            projectSelect.appendChild(option);
+        });
+        projectSelect.value = currentProjectId === null ? '' : String(currentProjectId);
+    }
+
+    async function renderHistory() {
+        projectHistory.innerHTML = '';
+        const runs = currentProjectId === null ? [] : await projectStore.listRuns(currentProjectId);
+        if (runs.length === 0) {
+            projectHistory.textContent = currentProjectId === null
+                ? 'Simpan atau buka proyek untuk mencatat setiap proses obfuscate.'
+                : 'Belum ada proses untuk proyek ini.';
+            return;
+        }
+        runs.forEach((run) => {
+            const row = document.createElement('div');
+            row.className = 'flex flex-wrap items-center gap-2';
+            const text = document.createElement('span');
+            text.className = 'flex-1';
+            const method = run.method === 'pipeline' ? `pipeline (${run.steps.map((step) => step.method).join(' → ')})` : run.method;
+            text.textContent = `${new Date(run.createdAt).toLocaleString('id-ID')} · ${method} · ${run.output.length} karakter`;
+            row.appendChild(text);
+            [['Pulihkan', false], ['Deobfuscate', true]].forEach(([label, deobfuscate]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = label;
+                button.addEventListener('click', () => restoreRun(run, deobfuscate));
+                row.appendChild(button);
+            });
+            projectHistory.appendChild(row);
+        });
+    }
+
+    /**
+     * Puts a past run back into the panes, with the settings it ran with, and optionally deobfuscates it.
+     * @param {object} run The run, from `projectStore.listRuns`.
+     * @param {boolean} deobfuscate Whether to deobfuscate it right away (with the keys in the controls).
+     */
+    function restoreRun(run, deobfuscate) {
+        try {
+            applySettings(run, true);
+        } catch (e) {
+            showNotification(`Error: ${e.message}`, true);
+            return;
+        }
+        codeInput.value = run.input;
+        codeOutput.value = run.output;
+        mapOutput.value = run.map || '';
+        lastSourceMap = run.sourceMap || null;
+        showReport(run.report || null);
+        if (deobfuscate) {
+            deobfuscateBtn.click();
+        } else {
+            showNotification('Hasil proses sebelumnya dipulihkan.');
+        }
+    }
+
+    /**
+     * Adds the last obfuscation to the open project's history.
+     * @param {string} input The code that was obfuscated.
+     * @param {{result: string, map?: string, sourceMap?: string}} output The method's output.
+     */
+    async function recordRun(input, output) {
+        if (currentProjectId === null) return;
+        try {
+            await projectStore.addRun(currentProjectId, {
+                ...projectSettings(),
+                input,
+                output: output.result,
+                map: output.map || '',
+                sourceMap: output.sourceMap || null,
+                report: lastReport
+            });
+            await renderHistory();
+        } catch (e) {
+            showNotification(`Riwayat gagal disimpan: ${e.message}`, true);
+        }
+    }
+
+    /**
+     * Opens a saved project, or starts a new one.
+     * @param {number|null} id The project id, or null for a new project.
+     */
+    async function openProject(id) {
+        keystorePassphraseInput.value = '';
+        if (id === null) {
+            currentProjectId = null;
+            projectNameInput.value = '';
+            storeKeysToggle.checked = false;
+            await renderHistory();
+            return;
+        }
+        const project = await projectStore.getProject(id);
+        applySettings(project, false);
+        currentProjectId = id;
+        projectNameInput.value = project.name;
+        codeInput.value = project.source;
+        codeOutput.value = '';
+        mapOutput.value = '';
+        lastSourceMap = null;
+        showReport(null);
+        storeKeysToggle.checked = await projectStore.hasKeys(id);
+        await renderHistory();
+        showNotification(storeKeysToggle.checked
+            ? `Proyek '${project.name}' dibuka. Masukkan passphrase lalu klik Buka Kunci untuk memakai kunci tersimpan.`
+            : `Proyek '${project.name}' dibuka.`);
+    }
+
+    async function saveCurrentProject() {
+        if (storeKeysToggle.checked && !keystorePassphraseInput.value) {
+            showNotification('Masukkan passphrase untuk menyimpan kunci.', true);
+            return;
+        }
+        try {
+            const id = await projectStore.saveProject({
+                id: currentProjectId === null ? undefined : currentProjectId,
+                name: projectNameInput.value,
+                source: codeInput.value,
+                ...projectSettings()
+            });
+            // Keys are only kept on request; turning the option off removes any stored before.
+            if (storeKeysToggle.checked) {
+                await projectStore.saveKeys(id, currentKeys(), keystorePassphraseInput.value);
+            } else {
+                await projectStore.deleteKeys(id);
+            }
+            currentProjectId = id;
+            await renderProjects();
+            await renderHistory();
+            showNotification(`Proyek '${projectNameInput.value.trim()}' disimpan${storeKeysToggle.checked ? ' beserta kunci terenkripsi' : ''}.`);
+        } catch (e) {
+            showNotification(`Error: ${e.message}`, true);
+        }
+    }
+
+    async function deleteCurrentProject() {
+        if (currentProjectId === null) {
+            showNotification('Tidak ada proyek yang dibuka.', true);
+            return;
+        }
+        if (!confirm(`Hapus proyek '${projectNameInput.value}' beserta riwayat dan kuncinya?`)) return;
+        try {
+            await projectStore.deleteProject(currentProjectId);
+            await openProject(null);
+            await renderProjects();
+            showNotification('Proyek dihapus.');
+        } catch (e) {
+            showNotification(`Error: ${e.message}`, true);
+        }
+    }
+
+    async function unlockKeys() {
+        if (currentProjectId === null) {
+            showNotification('Buka proyek yang kuncinya tersimpan terlebih dahulu.', true);
+            return;
+        }
+        try {
+            const keys = await projectStore.loadKeys(currentProjectId, keystorePassphraseInput.value);
+            secretKeyInput.value = keys.key || '';
+            pipelineSteps.forEach((step, i) => { step.key = (keys.stepKeys || [])[i] || ''; });
+            renderPipelineSteps();
+            showNotification('Kunci tersimpan berhasil dibuka.');
+        } catch (e) {
+            showNotification(`Error: ${e.message}`, true);
+        }
+    }
+
     // --- Event Listeners ---
     methodSelect.addEventListener('change', updateUI);
+    addStepBtn.addEventListener('click', () => {
+        pipelineSteps.push(newStep(methodRegistry.listMethods()[0].id));
+        renderPipelineSteps();
+    });
 
     fileInput.addEventListener('change', (e) => {
         const file = e.target.files[0];
@@ -73,14 +844,68 @@ document.addEventListener('DOMContentLoaded', () => {
         const reader = new FileReader();
         reader.onload = (e) => {
             codeInput.value = e.target.result;
+            sourceFileName = file.name;
+            htmlModeToggle.checked = /\.html?$/i.test(file.name);
             showNotification(`File '${file.name}' berhasil dimuat.`);
         };
         reader.readAsText(file);
         e.target.value = '';
     });
 
-    obfuscateBtn.addEventListener('click', () => {
-        const selectedMethod = methods[methodSelect.value];
+    // A saved map goes into the map pane, ready for Deobfuscate.
+    mapFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            mapOutput.value = e.target.result;
+            showNotification(`Peta '${file.name}' berhasil dimuat.`);
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    });
+
+    folderInput.addEventListener('change', (e) => {
+        loadBatch(batchProject.collectFileList(e.target.files));
+        e.target.value = '';
+    });
+    zipInput.addEventListener('change', (e) => {
+        loadBatch(batchProject.collectFileList(e.target.files));
+        e.target.value = '';
+    });
+    batchDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        batchDropZone.classList.add('border-green-500');
+    });
+    batchDropZone.addEventListener('dragleave', () => batchDropZone.classList.remove('border-green-500'));
+    batchDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        batchDropZone.classList.remove('border-green-500');
+        loadBatch(batchProject.collectDropped(e.dataTransfer));
+    });
+    batchSelectAll.addEventListener('change', () => {
+        batchFiles.forEach((file) => { file.selected = batchSelectAll.checked; });
+        renderBatchFiles();
+    });
+    batchRunBtn.addEventListener('click', runBatch);
+    batchDownloadBtn.addEventListener('click', downloadBatch);
+
+    // Loads a third-party method script; it registers itself through methodRegistry.registerMethod.
+    pluginInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const script = document.createElement('script');
+        script.src = URL.createObjectURL(file);
+        script.onload = () => {
+            methodRunner.loadPlugin(script.src);
+            showNotification(`Metode dari '${file.name}' berhasil dimuat.`);
+        };
+        script.onerror = () => showNotification(`Gagal memuat '${file.name}'.`, true);
+        document.body.appendChild(script);
+        e.target.value = '';
+    });
+
+    obfuscateBtn.addEventListener('click', async () => {
         const code = codeInput.value;
         const key = secretKeyInput.value;
 
@@ -90,17 +915,24 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         try {
-            const { result, map } = selectedMethod.handler.encode(code, key);
-            codeOutput.value = result;
-            mapOutput.value = map || 'Tidak ada peta/log yang dihasilkan untuk metode ini.';
+            const start = performance.now();
+            const output = htmlModeToggle.checked
+                ? await runHtmlJob('encode', code, key)
+                : await runJob(buildJob('encode', code, key));
+            const durationMs = performance.now() - start;
+            codeOutput.value = output.result;
+            lastSourceMap = output.sourceMap || null;
+            mapOutput.value = output.map || 'Tidak ada peta/log yang dihasilkan untuk metode ini.';
             showNotification('Kode berhasil di-obfuscate!');
+            await reportRun(code, output, durationMs);
+            await recordRun(code, output);
         } catch (e) {
-            showNotification(`Error: ${e.message}`, true);
+            showJobError(e);
         }
     });
 
-    deobfuscateBtn.addEventListener('click', () => {
-        const selectedMethod = methods[methodSelect.value];
+    deobfuscateBtn.addEventListener('click', async () => {
+        const selectedMethod = getSelectedMethod();
         const code = codeOutput.value; // Deobfuscate from the output pane
         const key = secretKeyInput.value;
         const map = mapOutput.value;
@@ -113,19 +945,72 @@ document.addEventListener('DOMContentLoaded', () => {
         const arg = selectedMethod.deobfuscateRequiresMap ? map : key;
 
         try {
-            const { result, map: log } = selectedMethod.handler.decode(code, arg);
+            const { result, map: log } = htmlModeToggle.checked
+                ? await runHtmlJob('decode', code, key, map)
+                : await runJob(buildJob('decode', code, arg));
             // Put result back in the input for clarity
             codeInput.value = result;
             mapOutput.value = log || "Proses deobfuscation selesai.";
             showNotification('Proses deobfuscate berhasil!');
         } catch (e) {
+            showJobError(e);
+        }
+    });
+
+    // Runs the input and the output side by side in sandboxes and reports any difference in behaviour.
+    verifyBtn.addEventListener('click', async () => {
+        if (!codeInput.value || !codeOutput.value) {
+            showNotification("Isi kode sumber dan obfuscate terlebih dahulu!", true);
+            return;
+        }
+        if (htmlModeToggle.checked) {
+            showNotification("Verifikasi hanya tersedia untuk kode JavaScript, bukan HTML.", true);
+            return;
+        }
+
+        verifyBtn.disabled = true;
+        verifyOutput.value = 'Menjalankan kedua versi di sandbox...';
+        try {
+            const report = await verifier.verify(codeInput.value, codeOutput.value, { passphrase: secretKeyInput.value });
+            verifyOutput.value = verifier.formatReport(report);
+            if (report.equivalent) {
+                showNotification('Verifikasi berhasil: perilaku kode sama!');
+            } else {
+                showNotification(`Verifikasi gagal: ${report.differences.length} perbedaan ditemukan.`, true);
+            }
+        } catch (e) {
+            verifyOutput.value = '';
             showNotification(`Error: ${e.message}`, true);
+        } finally {
+            verifyBtn.disabled = false;
         }
     });
 
+    cancelBtn.addEventListener('click', () => methodRunner.cancel());
     copyOutputBtn.addEventListener('click', () => copyToClipboard(codeOutput, 'Output'));
     copyMapBtn.addEventListener('click', () => copyToClipboard(mapOutput, 'Peta/Log'));
+    downloadMapBtn.addEventListener('click', downloadSourceMap);
+    saveMapBtn.addEventListener('click', downloadMap);
+    reportDownloadBtn.addEventListener('click', downloadReport);
+
+    // Methods registered after start-up (e.g. third-party scripts loaded later) appear right away.
+    methodRegistry.onRegister(() => {
+        renderMethodSelect();
+        renderPipelineSteps();
+    });
+
+    projectSelect.addEventListener('change', () => {
+        openProject(projectSelect.value ? Number(projectSelect.value) : null)
+            .catch((e) => showNotification(`Error: ${e.message}`, true));
+    });
+    projectSaveBtn.addEventListener('click', saveCurrentProject);
+    projectDeleteBtn.addEventListener('click', deleteCurrentProject);
+    keystoreUnlockBtn.addEventListener('click', unlockKeys);
 
     // --- Initial State ---
+    renderMethodSelect();
+    renderPipelineSteps();
     updateUI();
+    // Without IndexedDB (or where it is blocked, e.g. some private windows) the project panel is hidden.
+    Promise.all([renderProjects(), renderHistory()]).catch(() => projectContainer.classList.add('hidden'));
 });
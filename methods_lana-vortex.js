@@ -2,36 +2,16 @@
  * File: methods/lana-vortex.js
  * Contains the logic for the Lana-Vortex obfuscation method.
  * This method provides layered, key-based encryption.
+ * The 'classic' mode shuffles XOR-encrypted fragments; the 'secure' mode derives an AES-GCM key
+ * from the passphrase with PBKDF2 (WebCrypto) and never writes the passphrase into the output.
  */
 
 const lanaVortex = (() => {
-    /**
-     * Generates a pseudo-random seed from a string key.
-     * @param {string} key The secret key.
-     * @returns {number} A numeric seed.
-     */
-    function createSeed(key) {
-        let hash = 0;
-        if (key.length === 0) return hash;
-        for (let i = 0; i < key.length; i++) {
-            const char = key.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash |= 0; // Convert to 32bit integer
-        }
-        return hash;
-    }
-
-    /**
-     * A seeded pseudo-random number generator.
-     * @param {number} seed The seed.
-     * @returns {function(): number} A function that returns a random number between 0 and 1.
-     */
-    function seededRandom(seed) {
-        return function() {
-            seed = (seed * 9301 + 49297) % 233280;
-            return seed / 233280;
-        };
-    }
+    // Browser globals, or their Node modules when loaded with require().
+    const sourceMaps = typeof sourceMap !== 'undefined' ? sourceMap : require('./sourcemap.js');
+    const registry = typeof methodRegistry !== 'undefined' ? methodRegistry : require('./registry.js');
+    const randoms = typeof randomSource !== 'undefined' ? randomSource : require('./random.js');
+    const containers = typeof mapContainer !== 'undefined' ? mapContainer : require('./container.js');
 
     /**
      * Encrypts/Decrypts text using a key-based XOR cipher.
@@ -46,16 +26,178 @@ const lanaVortex = (() => {
     }
 
     /**
-     * Encodes the given code using the Lana-Vortex method.
+     * Packs a string's UTF-16 code units into Base64 (two bytes per unit, as String Conceal does), so
+     * any text survives `btoa`, whatever characters the code or the key hold.
+     * @param {string} text The text.
+     * @returns {string} The Base64 string.
+     */
+    function packUnits(text) {
+        let binary = '';
+        for (let i = 0; i < text.length; i++) {
+            const unit = text.charCodeAt(i);
+            binary += String.fromCharCode(unit >> 8, unit & 255);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Reverses `packUnits`.
+     * @param {string} base64 The Base64 string.
+     * @returns {string} The text.
+     */
+    function unpackUnits(base64) {
+        const binary = atob(base64);
+        let text = '';
+        for (let i = 0; i + 1 < binary.length; i += 2) {
+            text += String.fromCharCode((binary.charCodeAt(i) << 8) | binary.charCodeAt(i + 1));
+        }
+        return text;
+    }
+
+    // PBKDF2 work factor for the secure mode (OWASP recommendation for PBKDF2-HMAC-SHA256).
+    const PBKDF2_ITERATIONS = 600000;
+
+    // Name of the optional host hook the secure wrapper reads the passphrase from.
+    const PASSPHRASE_HOOK = 'lanaVortexPassphrase';
+
+    // How many fragments are processed between two progress reports.
+    const PROGRESS_INTERVAL = 4096;
+
+    // How each wrapper starts; the JSON data follows right after.
+    const CLASSIC_PREFIX = '(function(){var p=';
+    const SECURE_PREFIX = '(async function(){var c=';
+    // Follows the fragment order in classic wrappers whose fragments hold packed UTF-16 units; older
+    // wrappers held one byte per character, which only worked for Latin-1 code.
+    const UNITS_DECODER = ',u=function(b){for(var s="",j=0;j+1<b.length;j+=2)s+=String.fromCharCode(b.charCodeAt(j)<<8|b.charCodeAt(j+1));return s}';
+
+    /**
+     * Converts bytes to a Base64 string.
+     * @param {Uint8Array} bytes The bytes to encode.
+     * @returns {string} The Base64 string.
+     */
+    function bytesToBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Converts a Base64 string to bytes.
+     * @param {string} base64 The Base64 string.
+     * @returns {Uint8Array} The decoded bytes.
+     */
+    function base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+    }
+
+    /**
+     * Derives an AES-GCM key from a passphrase with PBKDF2-SHA256.
+     * @param {string} passphrase The passphrase.
+     * @param {Uint8Array} salt A random salt.
+     * @param {number} iterations The PBKDF2 iteration count.
+     * @param {string} usage Either 'encrypt' or 'decrypt'.
+     * @returns {Promise<CryptoKey>} The derived key.
+     */
+    async function deriveKey(passphrase, salt, iterations, usage) {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            [usage]
+        );
+    }
+
+    /**
+     * Picks the salt and IV of the secure mode. They are random unless the output must be
+     * reproducible: the salt then comes from the seeded generator and the IV from a hash of the salt
+     * and the code, so one seed never reuses an IV for different code.
      * @param {string} code The JavaScript code to encode.
-     * @param {string} key The secret key.
-     * @returns {{result: string, map: string}} The obfuscated code and a log message.
+     * @param {function(): number|null} random The seeded generator, or null for random values.
+     * @returns {Promise<{salt: Uint8Array, iv: Uint8Array}>} The salt and IV.
      */
-    function encode(code, key) {
-        if (!code || !key) {
-            throw new Error("Code and key cannot be empty for Lana-Vortex.");
+    async function secureNonces(code, random) {
+        if (!random) {
+            return { salt: crypto.getRandomValues(new Uint8Array(16)), iv: crypto.getRandomValues(new Uint8Array(12)) };
         }
+        const salt = Uint8Array.from({ length: 16 }, () => Math.floor(random() * 256));
+        const codeBytes = new TextEncoder().encode(code);
+        const input = new Uint8Array(salt.length + codeBytes.length);
+        input.set(salt);
+        input.set(codeBytes, salt.length);
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', input));
+        return { salt, iv: digest.slice(0, 12) };
+    }
+
+    /**
+     * Encodes the code with the secure (PBKDF2 + AES-GCM) mode.
+     * The wrapper asks for the passphrase at runtime, or reads it from `globalThis.lanaVortexPassphrase`
+     * (a string, or a function returning one or a promise of one) when the host provides it.
+     * @param {string} code The JavaScript code to encode.
+     * @param {string} passphrase The passphrase.
+     * @param {function(): number|null} random The seeded generator, or null for random salt and IV.
+     * @returns {Promise<{result: string, log: string, stats: object}>} The obfuscated code, a log message and its stats.
+     */
+    async function encodeSecure(code, passphrase, random) {
+        const { salt, iv } = await secureNonces(code, random);
+        const aesKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+        const cipherText = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, new TextEncoder().encode(code)));
+
+        const container = JSON.stringify({
+            s: bytesToBase64(salt),
+            i: bytesToBase64(iv),
+            n: PBKDF2_ITERATIONS,
+            d: bytesToBase64(cipherText)
+        });
+
+        // Self-Decoding Wrapper Generation (minified). Decryption is asynchronous, so the wrapper is too.
+        // A failed decryption is reported on the console rather than left as an unhandled rejection;
+        // errors of the decrypted code itself still surface as they would without the wrapper.
+        const wrapper = `${SECURE_PREFIX}${container},h=globalThis.${PASSPHRASE_HOOK},p=typeof h==="function"?await h():typeof h==="string"?h:prompt("Lana-Vortex passphrase:");if(!p)throw new Error("passphrase required.");var b=function(s){return Uint8Array.from(atob(s),function(x){return x.charCodeAt(0)})},k=await crypto.subtle.importKey("raw",new TextEncoder().encode(p),"PBKDF2",false,["deriveKey"]),a=await crypto.subtle.deriveKey({name:"PBKDF2",salt:b(c.s),iterations:c.n,hash:"SHA-256"},k,{name:"AES-GCM",length:256},false,["decrypt"]),t;try{t=await crypto.subtle.decrypt({name:"AES-GCM",iv:b(c.i)},a,b(c.d))}catch(e){throw new Error("wrong passphrase or tampered payload.")}return new TextDecoder().decode(t)})().then(function(s){(new Function(s))()},function(e){console.error("Lana-Vortex: the code could not be decrypted: "+(e&&e.message||e))});`;
+
+        return {
+            result: wrapper,
+            log: `Encrypted with AES-256-GCM (PBKDF2-SHA256, ${PBKDF2_ITERATIONS} iterations). The passphrase is not stored in the output; the script asks for it at runtime or reads globalThis.${PASSPHRASE_HOOK}.`,
+            stats: {
+                transformed: { bytes: cipherText.length - 16 }, // Less the GCM tag
+                wrapper: { mode: 'secure', runs: 'new Function', iterations: PBKDF2_ITERATIONS }
+            }
+        };
+    }
 
+    /**
+     * Decodes code produced by the secure mode.
+     * @param {object} container The parsed `{s, i, n, d}` container from the wrapper.
+     * @param {string} passphrase The passphrase.
+     * @returns {Promise<{result: string, map: string}>} The original code and a success message.
+     */
+    async function decodeSecure(container, passphrase) {
+        const aesKey = await deriveKey(passphrase, base64ToBytes(container.s), container.n, 'decrypt');
+        let plainText;
+        try {
+            plainText = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(container.i) }, aesKey, base64ToBytes(container.d));
+        } catch (e) {
+            throw new Error("Authentication failed: the passphrase is wrong or the code has been tampered with.");
+        }
+        return {
+            result: new TextDecoder().decode(plainText),
+            map: "Successfully decrypted and verified with the provided passphrase."
+        };
+    }
+
+    /**
+     * Encodes the code with the classic (shuffled XOR fragments) mode.
+     * Shuffling and reordering both take linear time, so multi-megabyte inputs stay fast.
+     * @param {string} code The JavaScript code to encode.
+     * @param {string} key The secret key.
+     * @param {function(): number} random The generator that drives the shuffle.
+     * @param {function(number): void} onProgress Receives the fraction done.
+     * @returns {{result: string, log: string, stats: object}} The obfuscated code, a log message and its stats.
+     */
+    function encodeClassic(code, key, random, onProgress) {
         // 1. Fragmentation
         const chunkSize = Math.max(2, Math.floor(key.length / 2));
         let fragments = [];
@@ -63,10 +205,15 @@ const lanaVortex = (() => {
             fragments.push(code.substring(i, i + chunkSize));
         }
 
-        // 2. Key-based Shuffling
-        const random = seededRandom(createSeed(key));
-        const shuffledIndices = fragments.map((_, i) => i).sort(() => random() - 0.5);
-        
+        // 2. Seeded Shuffling (Fisher-Yates)
+        const shuffledIndices = fragments.map((_, i) => i);
+        for (let i = shuffledIndices.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffledIndices[i], shuffledIndices[j]] = [shuffledIndices[j], shuffledIndices[i]];
+        }
+
+        // originalOrderMap[originalIndex] is where that fragment went, so the wrapper reads each
+        // fragment back in original order with one lookup.
         let shuffledFragments = [];
         let originalOrderMap = new Array(fragments.length);
         shuffledIndices.forEach((originalIndex, newIndex) => {
@@ -75,51 +222,113 @@ const lanaVortex = (() => {
         });
 
         // 3. Key-based Substitution Cipher (XOR) and Base64 encoding
-        const encryptedFragments = shuffledFragments.map(frag => btoa(xorCipher(frag, key)));
+        const encryptedFragments = new Array(shuffledFragments.length);
+        for (let i = 0; i < shuffledFragments.length; i++) {
+            encryptedFragments[i] = packUnits(xorCipher(shuffledFragments[i], key));
+            if (i % PROGRESS_INTERVAL === 0) onProgress(i / shuffledFragments.length);
+        }
         const payload = JSON.stringify(encryptedFragments);
         const orderMap = JSON.stringify(originalOrderMap);
-        const decoderKey = btoa(key); // Obfuscate the key slightly for the wrapper
+        const decoderKey = packUnits(key); // Obfuscate the key slightly for the wrapper
 
         // 4. Self-Decoding Wrapper Generation (minified)
-        const wrapper = `(function(){var p=${payload},m=${orderMap},k=atob("${decoderKey}"),x=function(t,k){return t.split('').map(function(c,i){return String.fromCharCode(c.charCodeAt(0)^k.charCodeAt(i%k.length))}).join('')},d=new Array(p.length);p.forEach(function(e,i){var oi=m.indexOf(i);d[oi]=x(atob(e),k)});(new Function(d.join('')))()})();`;
+        const wrapper = `${CLASSIC_PREFIX}${payload},m=${orderMap}${UNITS_DECODER},k=u(atob("${decoderKey}")),x=function(t,k){return t.split('').map(function(c,i){return String.fromCharCode(c.charCodeAt(0)^k.charCodeAt(i%k.length))}).join('')},d=new Array(m.length);for(var i=0;i<m.length;i++)d[i]=x(u(atob(p[m[i]])),k);(new Function(d.join('')))()})();`;
         
         return { 
             result: wrapper.trim(), 
-            map: "Deobfuscation requires the original key. The result is a self-executing script." 
+            log: "Deobfuscation requires the original key. The result is a self-executing script.",
+            stats: { transformed: { fragments: fragments.length }, wrapper: { mode: 'classic', runs: 'new Function' } }
         };
     }
 
     /**
-     * Decodes the given Lana-Vortex obfuscated code.
-     * @param {string} encodedCode The obfuscated code.
-     * @param {string} key The secret key used for encoding.
-     * @returns {{result: string, map: string}} The original code and a success message.
+     * Encodes the given code using the Lana-Vortex method.
+     * The optional source map maps the whole wrapper to the start of the original code, since the
+     * original code itself is what runs once the wrapper has decrypted it.
+     * @param {string} code The JavaScript code to encode.
+     * @param {string} key The secret key (the passphrase in secure mode).
+     * @param {{mode?: 'classic'|'secure', seed?: string|number, random?: function(): number, sourceMap?: boolean, sourceFileName?: string, outputFileName?: string, onProgress?: function(number): void}} [options] Encoding options.
+     *     Without a seed, the classic shuffle is seeded with the key and the secure mode uses a random salt and IV.
+     * @returns {Promise<{result: string, map: string, sourceMap?: string, stats: object}>} The obfuscated code, its map (no data, only the
+     *     hashes `decode` can check and a log message), optionally a Source Map v3, and stats describing the self-decoding wrapper.
      */
-    function decode(encodedCode, key) {
-        if (!encodedCode || !key) {
-            throw new Error("Encoded code and key are required for decoding.");
+    async function encode(code, key, options = {}) {
+        if (!code || !key) {
+            throw new Error("Code and key cannot be empty for Lana-Vortex.");
+        }
+        const onProgress = options.onProgress || (() => {});
+        const seeded = Boolean(options.random) || randoms.hasSeed(options.seed);
+        const { result, log, stats } = options.mode === 'secure'
+            ? await encodeSecure(code, key, seeded ? randoms.forOptions(options) : null)
+            : encodeClassic(code, key, randoms.forOptions(options, key), onProgress);
+        const output = { result, map: containers.wrap('lana-vortex', { input: code, output: result, options, log }), stats };
+        if (options.sourceMap) {
+            output.sourceMap = sourceMaps.generate(code, [{ start: 0, end: code.length, text: output.result }], options);
         }
+        return output;
+    }
+
+    /**
+     * Reads the JSON value (an array or object) that starts at an offset of the wrapper.
+     * @param {string} code The wrapper.
+     * @param {number} start Where the value starts.
+     * @returns {{value: *, end: number}} The value and the offset after it.
+     */
+    function readJson(code, start) {
+        if (code[start] !== '[' && code[start] !== '{') {
+            throw new Error("Invalid Lana-Vortex format. Expected data in the wrapper.");
+        }
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < code.length; i++) {
+            const char = code[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if ((char === ']' || char === '}') && --depth === 0) {
+                return { value: JSON.parse(code.slice(start, i + 1)), end: i + 1 };
+            }
+        }
+        throw new Error("Invalid Lana-Vortex format. The wrapper is cut short.");
+    }
+
+    /**
+     * Decodes code produced by the classic mode.
+     * @param {string} encodedCode The wrapper.
+     * @param {string} key The secret key.
+     * @param {function(number): void} onProgress Receives the fraction done.
+     * @returns {{result: string, map: string}} The original code and a success message.
+     */
+    function decodeClassic(encodedCode, key, onProgress) {
         try {
-            // Extract the payload and map from the code using regex
-            const payloadMatch = encodedCode.match(/var p=(\[.*?\])/);
-            const mapMatch = encodedCode.match(/var m=(\[.*?\])/);
-            if (!payloadMatch || !mapMatch) {
-                throw new Error("Invalid Lana-Vortex format. Cannot find payload or map.");
+            const payload = readJson(encodedCode, CLASSIC_PREFIX.length);
+            if (!encodedCode.startsWith(',m=', payload.end)) {
+                throw new Error("Invalid Lana-Vortex format. Cannot find the fragment order.");
+            }
+            const order = readJson(encodedCode, payload.end + 3);
+            const orderMap = order.value;
+            const fragments = payload.value;
+            if (!Array.isArray(fragments) || !Array.isArray(orderMap) || orderMap.length !== fragments.length) {
+                throw new Error(`The fragment order lists ${Array.isArray(orderMap) ? orderMap.length : 'no'} fragment(s), but the payload holds ${Array.isArray(fragments) ? fragments.length : 'none'}.`);
             }
+            const unpack = encodedCode.startsWith(UNITS_DECODER, order.end) ? unpackUnits : atob;
 
-            const payload = JSON.parse(payloadMatch[1]);
-            const orderMap = JSON.parse(mapMatch[1]);
-            
-            // Decrypt the shuffled fragments
-            let decryptedShuffled = payload.map(frag => xorCipher(atob(frag), key));
-            
-            // Re-sort the fragments to their original order
-            let originalFragments = new Array(payload.length);
-            decryptedShuffled.forEach((frag, i) => {
-                const originalIndex = orderMap.indexOf(i);
-                if (originalIndex === -1) throw new Error("Map is inconsistent. Cannot find original index.");
-                originalFragments[originalIndex] = frag;
-            });
+            // Read the fragments back in original order: orderMap[originalIndex] is the shuffled position.
+            const used = new Uint8Array(fragments.length);
+            const originalFragments = new Array(orderMap.length);
+            for (let originalIndex = 0; originalIndex < orderMap.length; originalIndex++) {
+                const shuffledIndex = orderMap[originalIndex];
+                if (!Number.isInteger(shuffledIndex) || shuffledIndex < 0 || shuffledIndex >= fragments.length || used[shuffledIndex]) {
+                    throw new Error("Map is inconsistent. Cannot find original index.");
+                }
+                used[shuffledIndex] = 1;
+                originalFragments[originalIndex] = xorCipher(unpack(fragments[shuffledIndex]), key);
+                if (originalIndex % PROGRESS_INTERVAL === 0) onProgress(originalIndex / orderMap.length);
+            }
 
             return { 
                 result: originalFragments.join(''), 
@@ -130,6 +339,59 @@ const lanaVortex = (() => {
         }
     }
 
+    /**
+     * Decodes the given Lana-Vortex obfuscated code. The mode is detected from the wrapper.
+     * @param {string} encodedCode The obfuscated code.
+     * @param {string} key The secret key (or passphrase) used for encoding.
+     * @param {{map?: string, onProgress?: function(number): void}} [options] Decoding options. With the map from `encode`,
+     *     the code is checked to be the output the map was made for.
+     * @returns {Promise<{result: string, map: string}>} The original code and a success message.
+     */
+    async function decode(encodedCode, key, options = {}) {
+        if (!encodedCode || !key) {
+            throw new Error("Encoded code and key are required for decoding.");
+        }
+        const container = options.map ? containers.unwrap(options.map, 'lana-vortex', encodedCode) : null;
+        const wrapper = encodedCode.trimStart();
+        let output;
+        if (wrapper.startsWith(SECURE_PREFIX)) {
+            output = await decodeSecure(readJson(wrapper, SECURE_PREFIX.length).value, key);
+        } else if (wrapper.startsWith(CLASSIC_PREFIX)) {
+            output = decodeClassic(wrapper, key, options.onProgress || (() => {}));
+        } else {
+            throw new Error("This is not Lana-Vortex output: the wrapper was not found.");
+        }
+        if (container && containers.matchesInput(container, output.result)) {
+            output.map += ' The code is identical to the original.';
+        }
+        return output;
+    }
+
     // Expose public functions
-    return { encode, decode };
+    const handler = { encode, decode };
+    registry.registerMethod({
+        id: 'lana-vortex',
+        label: 'Lana-Vortex (Enkripsi Berlapis)',
+        handler,
+        requiresKey: true,
+        canDeobfuscate: true,
+        deobfuscateRequiresMap: false,
+        reversible: true,
+        options: [{
+            name: 'mode',
+            label: 'Mode Lana-Vortex',
+            type: 'select',
+            default: 'classic',
+            choices: [
+                { value: 'classic', label: 'Klasik (XOR, kunci ikut tersimpan)' },
+                { value: 'secure', label: 'Aman (PBKDF2 + AES-GCM, kunci diminta saat dijalankan)' }
+            ]
+        }]
+    });
+    return handler;
 })();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = lanaVortex;
+}
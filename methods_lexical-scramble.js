@@ -1,38 +1,510 @@
 /*
  * File: methods/lexical-scramble.js
  * Contains the logic for Lexical Scramble obfuscation.
- * This method renames variables and functions to be unreadable and minifies the code.
+ * This method renames local variables and functions to be unreadable and minifies the code.
+ * It parses the code with Acorn (through parser.js) and only renames bindings whose every
+ * reference can be resolved through scope analysis. Names preserved through names.js are kept,
+ * and `_private` property names are renamed too when asked.
  */
 const lexicalScramble = (() => {
-    // A simple regex-based approach. For production use, a proper AST parser (like Esprima/Acorn) is far superior.
-    // This is a demonstrative implementation for educational purposes.
+    // Browser globals, or their Node modules when loaded with require().
+    const parser = typeof codeParser !== 'undefined' ? codeParser : require('./parser.js');
+    const sourceMaps = typeof sourceMap !== 'undefined' ? sourceMap : require('./sourcemap.js');
+    const registry = typeof methodRegistry !== 'undefined' ? methodRegistry : require('./registry.js');
+    const minifier = typeof minify !== 'undefined' ? minify : require('./methods_minify.js');
+    const containers = typeof mapContainer !== 'undefined' ? mapContainer : require('./container.js');
+    const names = typeof reservedNames !== 'undefined' ? reservedNames : require('./names.js');
+
+    // Words that may never be produced as a new name, even though the alphabet allows them.
+    const RESERVED = new Set(['break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'implements', 'interface', 'let', 'package', 'private', 'protected', 'public', 'static', 'yield', 'await', 'arguments', 'eval', 'undefined', 'NaN', 'Infinity']);
+
+    // Node keys that never hold child nodes worth visiting.
+    const SKIPPED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range', 'raw', 'regex', 'value', 'bigint', 'name', 'operator', 'kind', 'sourceType']);
 
     /**
-     * Finds potential identifiers (variable/function names) in the code.
-     * @param {string} code The JavaScript code.
-     * @returns {string[]} An array of unique identifiers.
+     * Creates a lexical scope.
+     * @param {object|null} parent The enclosing scope.
+     * @param {string} kind One of 'global', 'module', 'function', 'block', 'catch' or 'name'.
+     * @param {boolean} [strict] Whether code in the scope is strict; inherited from the parent by default.
+     * @returns {object} The new scope.
+     */
+    function createScope(parent, kind, strict = parent ? parent.strict : false) {
+        return { parent, kind, bindings: new Map(), dynamic: false, strict };
+    }
+
+    /**
+     * Tells whether a directive prologue contains "use strict".
+     * @param {object[]} body The statements of a program or function body.
+     * @returns {boolean} Whether it does.
+     */
+    function hasUseStrict(body) {
+        for (const statement of body) {
+            if (statement.type !== 'ExpressionStatement' || typeof statement.directive !== 'string') return false;
+            if (statement.directive === 'use strict') return true;
+        }
+        return false;
+    }
+
+    /**
+     * Walks the program and resolves every identifier to the binding it refers to.
+     * The walk runs twice over the same scopes: the first pass declares bindings (so hoisting
+     * works), the second resolves references against them.
+     * @param {object} ast The ESTree program.
+     * @param {boolean} isModule Whether the program is an ES module.
+     * @returns {{bindings: object[], freeNames: Set<string>, freeReferences: object[], dynamic: boolean}} All bindings, the names
+     *     and occurrences of unresolved (global) references, and whether `eval` or `with` can reach the global scope.
+     */
+    function analyze(ast, isModule) {
+        const rootScope = createScope(null, isModule ? 'module' : 'global', isModule || hasUseStrict(ast.body));
+        const scopes = new WeakMap();
+        const bindings = [];
+        const freeNames = new Set();
+        const freeReferences = [];
+        const exportedNames = new Set();
+        let declaring = true;
+        let classDepth = 0; // Class bodies and heritage are always strict
+
+        function scopeFor(node, parent, kind, strict = parent.strict || classDepth > 0) {
+            if (!scopes.has(node)) scopes.set(node, createScope(parent, kind, strict));
+            return scopes.get(node);
+        }
+
+        function hoistScope(scope) {
+            while (scope.kind === 'block' || scope.kind === 'catch' || scope.kind === 'name') scope = scope.parent;
+            return scope;
+        }
+
+        function declare(scope, id) {
+            // A body `var` named like a parameter starts with the parameter's value: keep them one binding.
+            if (scope.paramScope && scope.paramScope.bindings.has(id.name)) return;
+            if (!scope.bindings.has(id.name)) {
+                const binding = { name: id.name, scope, references: [] };
+                scope.bindings.set(id.name, binding);
+                bindings.push(binding);
+            }
+        }
+
+        /**
+         * Records an identifier occurrence. `format` rebuilds the source text for a new name,
+         * which matters for shorthand forms such as `{a}` or `import {a}`.
+         */
+        function reference(id, scope, format) {
+            if (declaring) return;
+            for (let s = scope; s; s = s.parent) {
+                const binding = s.bindings.get(id.name);
+                if (binding) {
+                    binding.references.push({ start: id.start, end: id.end, format });
+                    return;
+                }
+            }
+            freeNames.add(id.name);
+            freeReferences.push({ name: id.name, start: id.start, end: id.end, format });
+        }
+
+        function markDynamic(scope) {
+            for (let s = scope; s; s = s.parent) s.dynamic = true;
+        }
+
+        function visitPattern(node, scope, declScope, shorthand) {
+            if (!node) return;
+            switch (node.type) {
+                case 'Identifier':
+                    if (declaring && declScope) declare(declScope, node);
+                    reference(node, scope, shorthand ? (name) => `${node.name}: ${name}` : null);
+                    break;
+                case 'ObjectPattern':
+                    for (const prop of node.properties) {
+                        if (prop.type === 'RestElement') {
+                            visitPattern(prop.argument, scope, declScope, false);
+                        } else {
+                            if (prop.computed) visit(prop.key, scope);
+                            visitPattern(prop.value, scope, declScope, prop.shorthand);
+                        }
+                    }
+                    break;
+                case 'ArrayPattern':
+                    node.elements.forEach((element) => visitPattern(element, scope, declScope, false));
+                    break;
+                case 'AssignmentPattern':
+                    visitPattern(node.left, scope, declScope, shorthand);
+                    visit(node.right, scope);
+                    break;
+                case 'RestElement':
+                    visitPattern(node.argument, scope, declScope, false);
+                    break;
+                default:
+                    // Member expressions and other assignment targets.
+                    visit(node, scope);
+            }
+        }
+
+        function visitFunction(node, scope) {
+            let outer = scope;
+            if (node.type === 'FunctionDeclaration') {
+                // Sloppy scripts also hoist block-level functions to the enclosing function (Annex B);
+                // in modules and strict code they stay in their block.
+                if (node.id) visitPattern(node.id, scope, scope.strict ? scope : hoistScope(scope), false);
+            } else if (node.id) {
+                outer = scopeFor(node.id, scope, 'name');
+                visitPattern(node.id, outer, outer, false);
+            }
+            const directive = node.body.type === 'BlockStatement' && hasUseStrict(node.body.body);
+            const fnScope = scopeFor(node, outer, 'function', outer.strict || classDepth > 0 || directive);
+            node.params.forEach((param) => visitPattern(param, fnScope, fnScope, false));
+            if (node.body.type === 'BlockStatement') {
+                // With defaults, destructuring or a rest parameter, the body's declarations live in a
+                // scope of their own, which parameter defaults cannot see.
+                const simple = node.params.every((param) => param.type === 'Identifier');
+                const bodyScope = simple ? fnScope : scopeFor(node.body, fnScope, 'function');
+                if (!simple) bodyScope.paramScope = fnScope;
+                node.body.body.forEach((statement) => visit(statement, bodyScope));
+            } else {
+                visit(node.body, fnScope);
+            }
+        }
+
+        function visitClass(node, scope) {
+            let inner = scope;
+            if (node.type === 'ClassDeclaration') {
+                if (node.id) visitPattern(node.id, scope, scope, false);
+            } else if (node.id) {
+                inner = scopeFor(node.id, scope, 'name');
+                visitPattern(node.id, inner, inner, false);
+            }
+            classDepth++;
+            visit(node.superClass, inner);
+            for (const member of node.body.body) {
+                if (member.type === 'StaticBlock') {
+                    const blockScope = scopeFor(member, inner, 'function');
+                    member.body.forEach((statement) => visit(statement, blockScope));
+                    continue;
+                }
+                if (member.computed) visit(member.key, inner);
+                if (member.value) {
+                    visit(member.value, member.type === 'PropertyDefinition' ? scopeFor(member, inner, 'function') : inner);
+                }
+            }
+            classDepth--;
+        }
+
+        function visitChildren(node, scope) {
+            for (const key of Object.keys(node)) {
+                if (SKIPPED_KEYS.has(key)) continue;
+                const child = node[key];
+                if (Array.isArray(child)) {
+                    child.forEach((item) => visit(item, scope));
+                } else if (child && typeof child.type === 'string') {
+                    visit(child, scope);
+                }
+            }
+        }
+
+        function visit(node, scope) {
+            if (!node) return;
+            switch (node.type) {
+                case 'Identifier':
+                    reference(node, scope, null);
+                    break;
+                case 'FunctionDeclaration':
+                case 'FunctionExpression':
+                case 'ArrowFunctionExpression':
+                    visitFunction(node, scope);
+                    break;
+                case 'ClassDeclaration':
+                case 'ClassExpression':
+                    visitClass(node, scope);
+                    break;
+                case 'VariableDeclaration': {
+                    const declScope = node.kind === 'var' ? hoistScope(scope) : scope;
+                    for (const declarator of node.declarations) {
+                        visitPattern(declarator.id, scope, declScope, false);
+                        visit(declarator.init, scope);
+                    }
+                    break;
+                }
+                case 'BlockStatement': {
+                    const blockScope = scopeFor(node, scope, 'block');
+                    node.body.forEach((statement) => visit(statement, blockScope));
+                    break;
+                }
+                case 'ForStatement':
+                case 'ForInStatement':
+                case 'ForOfStatement': {
+                    const loopScope = scopeFor(node, scope, 'block');
+                    if (node.type === 'ForStatement') {
+                        visit(node.init, loopScope);
+                        visit(node.test, loopScope);
+                        visit(node.update, loopScope);
+                    } else {
+                        if (node.left.type === 'VariableDeclaration') visit(node.left, loopScope);
+                        else visitPattern(node.left, loopScope, null, false);
+                        visit(node.right, loopScope);
+                    }
+                    visit(node.body, loopScope);
+                    break;
+                }
+                case 'SwitchStatement': {
+                    visit(node.discriminant, scope);
+                    const switchScope = scopeFor(node, scope, 'block');
+                    node.cases.forEach((switchCase) => visitChildren(switchCase, switchScope));
+                    break;
+                }
+                case 'CatchClause': {
+                    const catchScope = scopeFor(node, scope, 'catch');
+                    visitPattern(node.param, catchScope, catchScope, false);
+                    visit(node.body, catchScope);
+                    break;
+                }
+                case 'AssignmentExpression':
+                    visitPattern(node.left, scope, null, false);
+                    visit(node.right, scope);
+                    break;
+                case 'MemberExpression':
+                    visit(node.object, scope);
+                    if (node.computed) visit(node.property, scope);
+                    break;
+                case 'Property':
+                    if (node.computed) visit(node.key, scope);
+                    if (node.shorthand && node.value.type === 'Identifier') {
+                        reference(node.value, scope, (name) => `${node.key.name}: ${name}`);
+                    } else {
+                        visit(node.value, scope);
+                    }
+                    break;
+                case 'MethodDefinition':
+                case 'PropertyDefinition':
+                    if (node.computed) visit(node.key, scope);
+                    visit(node.value, scope);
+                    break;
+                case 'LabeledStatement':
+                    visit(node.body, scope);
+                    break;
+                case 'BreakStatement':
+                case 'ContinueStatement':
+                case 'MetaProperty':
+                case 'PrivateIdentifier':
+                case 'ExportAllDeclaration':
+                    break;
+                case 'CallExpression':
+                    if (declaring && node.callee.type === 'Identifier' && node.callee.name === 'eval') markDynamic(scope);
+                    visitChildren(node, scope);
+                    break;
+                case 'WithStatement':
+                    if (declaring) markDynamic(scope);
+                    visitChildren(node, scope);
+                    break;
+                case 'ImportDeclaration':
+                    for (const specifier of node.specifiers) {
+                        const imported = specifier.imported;
+                        const isShorthand = imported && imported.start === specifier.local.start;
+                        if (declaring) declare(scope, specifier.local);
+                        reference(specifier.local, scope, isShorthand ? (name) => `${imported.name} as ${name}` : null);
+                    }
+                    break;
+                case 'ExportNamedDeclaration':
+                    if (node.declaration) {
+                        collectDeclaredNames(node.declaration).forEach((name) => exportedNames.add(name));
+                        visit(node.declaration, scope);
+                    } else if (!node.source) {
+                        for (const specifier of node.specifiers) {
+                            const { local, exported } = specifier;
+                            const isShorthand = exported.start === local.start;
+                            reference(local, scope, isShorthand ? (name) => `${name} as ${local.name}` : null);
+                        }
+                    }
+                    break;
+                case 'ExportDefaultDeclaration':
+                    visit(node.declaration, scope);
+                    break;
+                case 'ImportExpression':
+                    visit(node.source, scope);
+                    visit(node.options, scope);
+                    break;
+                default:
+                    visitChildren(node, scope);
+            }
+        }
+
+        ast.body.forEach((statement) => visit(statement, rootScope));
+        declaring = false;
+        ast.body.forEach((statement) => visit(statement, rootScope));
+
+        for (const binding of bindings) {
+            binding.renameable = binding.scope.kind !== 'global'
+                && !binding.scope.dynamic
+                && !(binding.scope === rootScope && exportedNames.has(binding.name));
+        }
+        return { bindings, freeNames, freeReferences, dynamic: rootScope.dynamic };
+    }
+
+    /**
+     * Lists the names bound by a declaration (used for `export const ...` and friends).
+     * @param {object} declaration A variable, function or class declaration.
+     * @returns {string[]} The declared names.
      */
-    function getIdentifiers(code) {
-        // Remove comments and strings to avoid renaming things inside them
-        const cleanCode = code
-            .replace(/\/\*[\s\S]*?\*\/|\/\/.*/g, '') // remove multi-line and single-line comments
-            .replace(/(["'`])(?:(?=(\\?))\2.)*?\1/g, ''); // remove strings
-
-        // A set of JavaScript reserved keywords that should not be renamed
-        const keywords = new Set(['break', 'case', 'catch', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'finally', 'for', 'function', 'if', 'in', 'instanceof', 'new', 'return', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'let', 'const', 'void', 'while', 'with', 'class', 'enum', 'export', 'extends', 'import', 'super', 'implements', 'interface', 'package', 'private', 'protected', 'public', 'static', 'yield', 'await', 'null', 'true', 'false', 'undefined', 'document', 'window', 'console']);
-        
-        const identifiers = new Set();
-        // Regex to find potential variable/function names.
-        const identifierRegex = /[a-zA-Z_$][a-zA-Z0-9_$]*/g;
-        let match;
-        while ((match = identifierRegex.exec(cleanCode)) !== null) {
-            if (!keywords.has(match[0])) {
-                identifiers.add(match[0]);
-            }
-        }
-        return Array.from(identifiers);
+    function collectDeclaredNames(declaration) {
+        if (declaration.type !== 'VariableDeclaration') return declaration.id ? [declaration.id.name] : [];
+        const names = [];
+        const collect = (pattern) => {
+            if (!pattern) return;
+            switch (pattern.type) {
+                case 'Identifier': names.push(pattern.name); break;
+                case 'ObjectPattern': pattern.properties.forEach((p) => collect(p.type === 'RestElement' ? p.argument : p.value)); break;
+                case 'ArrayPattern': pattern.elements.forEach(collect); break;
+                case 'AssignmentPattern': collect(pattern.left); break;
+                case 'RestElement': collect(pattern.argument); break;
+            }
+        };
+        declaration.declarations.forEach((d) => collect(d.id));
+        return names;
     }
-    
+
+    /**
+     * Lists the source edits that rename every reference of the given bindings.
+     * Each edit carries the binding's current name, which becomes a source map name.
+     * @param {Map<object, string>} renames Binding to new name.
+     * @returns {Array<{start: number, end: number, text: string, name: string}>} The edits.
+     */
+    function renameEdits(renames) {
+        const edits = [];
+        renames.forEach((newName, binding) => {
+            binding.references.forEach(({ start, end, format }) => {
+                edits.push({ start, end, text: format ? format(newName) : newName, name: binding.name });
+            });
+        });
+        return edits;
+    }
+
+    /**
+     * Groups unresolved references by name, shaped like bindings so `renameEdits` can rename them.
+     * @param {object[]} freeReferences The free references from `analyze`.
+     * @returns {Map<string, {name: string, references: object[]}>} Pseudo-bindings by name.
+     */
+    function groupFreeReferences(freeReferences) {
+        const groups = new Map();
+        for (const { name, start, end, format } of freeReferences) {
+            if (!groups.has(name)) groups.set(name, { name, references: [] });
+            groups.get(name).references.push({ start, end, format });
+        }
+        return groups;
+    }
+
+    /**
+     * Lists every property name written out in the code: `a.name`, `a['name']`, object keys and class
+     * members. Computed keys other than string literals are dynamic and cannot be followed.
+     * @param {object} ast The ESTree program.
+     * @param {string} code The code the program was parsed from.
+     * @returns {Array<{name: string, start: number, end: number, quote?: string, shorthand?: boolean}>} The occurrences.
+     */
+    function collectProperties(ast, code) {
+        const occurrences = [];
+        const add = (key, computed, shorthand) => {
+            if (key.type === 'Identifier' && !computed) {
+                occurrences.push({ name: key.name, start: key.start, end: key.end, shorthand: Boolean(shorthand) });
+            } else if (key.type === 'Literal' && typeof key.value === 'string' && key.raw.slice(1, -1) === key.value) {
+                occurrences.push({ name: key.value, start: key.start, end: key.end, quote: code[key.start] });
+            }
+        };
+        parser.walk(ast, (node) => {
+            if (node.type === 'MemberExpression') {
+                add(node.property, node.computed, false);
+            } else if (node.type === 'Property' || node.type === 'MethodDefinition' || node.type === 'PropertyDefinition') {
+                add(node.key, node.computed, node.shorthand);
+            }
+        });
+        return occurrences;
+    }
+
+    /**
+     * Lists the source edits that rename properties. A shorthand `{_a}` becomes `{_b: _a}`; when the
+     * variable is renamed as well, its edit (same span) is widened instead, so the two never overlap.
+     * @param {Array<{name: string, start: number, end: number, quote?: string, shorthand?: boolean}>} occurrences From `collectProperties`.
+     * @param {Object<string, string>} renames New names by property name.
+     * @param {Array<{start: number, text: string}>} bindingEdits The edits from `renameEdits`, adjusted in place.
+     * @returns {Array<{start: number, end: number, text: string, name: string}>} The edits.
+     */
+    function propertyEdits(occurrences, renames, bindingEdits) {
+        const bindingEditsByStart = new Map(bindingEdits.map((edit) => [edit.start, edit]));
+        const edits = [];
+        for (const { name, start, end, quote, shorthand } of occurrences) {
+            if (!Object.prototype.hasOwnProperty.call(renames, name)) continue;
+            const newName = renames[name];
+            if (shorthand && bindingEditsByStart.has(start)) {
+                const edit = bindingEditsByStart.get(start);
+                edit.text = newName + edit.text.slice(name.length);
+                continue;
+            }
+            const text = quote ? quote + newName + quote : shorthand ? `${newName}: ${name}` : newName;
+            edits.push({ start, end, text, name });
+        }
+        return edits;
+    }
+
+    /**
+     * Plans new names for the private (`_name`) properties of one or more files. Every file of a project
+     * must use the same plan (pass it to `encode` as `options.propertyRenames`), since objects cross files.
+     * @param {string[]} codes The code of every file.
+     * @param {{preset?: string, preserve?: string|string[], renamePrivate?: boolean}} [options] The renaming options; nothing
+     *     is planned unless `renamePrivate` is set.
+     * @returns {Object<string, string>} New names by original property name.
+     */
+    function planPropertyRenames(codes, options = {}) {
+        if (!options.renamePrivate) return {};
+        const isPreserved = names.create(options);
+        const used = new Set();
+        for (const code of codes) {
+            const { ast } = parser.parse(code);
+            collectProperties(ast, code).forEach((occurrence) => used.add(occurrence.name));
+        }
+
+        const plan = {};
+        let counter = 0;
+        const privateNames = [...used].filter((name) => names.isPrivateProperty(name) && !isPreserved(name)).sort();
+        for (const name of privateNames) {
+            let newName;
+            do {
+                newName = '_' + generateName(counter++);
+            } while (used.has(newName) || isPreserved(newName));
+            plan[name] = newName;
+        }
+        return plan;
+    }
+
+    /**
+     * Plans new names for the globals that a set of classic scripts declare, so every file can rename
+     * them the same way (pass the plan to `encode` as `options.globalRenames`). Nothing is planned when
+     * any file uses `eval` or `with`, since those can reach globals by name. Preserved names are left out.
+     * @param {string[]} codes The code of every file in the project.
+     * @param {{preset?: string, preserve?: string|string[]}} [options] The renaming options.
+     * @returns {Object<string, string>} New names by original global name.
+     */
+    function planGlobalRenames(codes, options = {}) {
+        const isPreserved = names.create(options);
+        const declared = new Set();
+        const used = new Set(RESERVED);
+        for (const code of codes) {
+            const { ast, isModule } = parser.parse(code);
+            const { bindings, freeNames, dynamic } = analyze(ast, isModule);
+            if (dynamic) return {};
+            freeNames.forEach((name) => used.add(name));
+            for (const binding of bindings) {
+                used.add(binding.name);
+                if (binding.scope.kind === 'global' && !isPreserved(binding.name)) declared.add(binding.name);
+            }
+        }
+
+        const plan = {};
+        let counter = 0;
+        for (const name of [...declared].sort()) {
+            let newName;
+            do {
+                newName = '_' + generateName(counter++);
+            } while (used.has(newName) || isPreserved(newName));
+            plan[name] = newName;
+        }
+        return plan;
+    }
+
     /**
      * Generates a short, non-numeric name based on an index. (a, b, ..., z, aa, ab, ...)
      * @param {number} n The index.
@@ -49,61 +521,187 @@ const lexicalScramble = (() => {
     }
 
     /**
-     * Encodes the code by scrambling identifiers and minifying.
+     * Encodes the code by scrambling local identifiers and minifying.
+     * Every renamed binding gets its own unique name, so the map can always be reversed.
+     * Globals are only renamed when `options.globalRenames` (from `planGlobalRenames`) names them.
+     * Names matching `options.preset` or `options.preserve` (see names.js) are neither renamed nor used as new names.
      * @param {string} code The JavaScript code.
-     * @returns {{result: string, map: string}} The scrambled code and a map for deobfuscation.
+     * @param {string} [key] Unused; accepted for a uniform method signature.
+     * @param {{sourceMap?: boolean, sourceFileName?: string, outputFileName?: string, onProgress?: function(number): void, globalRenames?: Object<string, string>,
+     *     preset?: string, preserve?: string|string[], renamePrivate?: boolean, propertyRenames?: Object<string, string>}} [options] Encoding options;
+     *     with `renamePrivate`, `_private` properties are renamed too (by `options.propertyRenames` from `planPropertyRenames`, when given).
+     * @returns {{result: string, map: string, sourceMap?: string, stats: object}} The scrambled code, a map (new name to original name, for
+     *     bindings and for properties) for deobfuscation, optionally a Source Map v3, and the counts of renamed and kept names.
      */
-    function encode(code) {
-        const identifiers = getIdentifiers(code);
-        const nameMap = new Map();
-        let scrambledCode = code;
-        
-        // Replace longer names first to avoid conflicts (e.g., replacing 'user' before 'username')
-        identifiers.sort((a, b) => b.length - a.length);
-
-        identifiers.forEach((oldName, i) => {
-            const newName = generateName(i);
-            nameMap.set(oldName, newName);
-            // Use regex with word boundaries (\b) to avoid replacing parts of other words
-            const regex = new RegExp(`\\b${oldName}\\b`, 'g');
-            scrambledCode = scrambledCode.replace(regex, newName);
+    function encode(code, key, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const isPreserved = names.create(options);
+        const { ast, isModule } = parser.parse(code);
+        onProgress(0.3);
+        const { bindings, freeNames, freeReferences, dynamic } = analyze(ast, isModule);
+        onProgress(0.5);
+
+        // Globals and bindings we must keep are off limits, otherwise a new name could shadow them.
+        const globalRenames = options.globalRenames || {};
+        const taken = new Set([...RESERVED, ...freeNames, ...Object.values(globalRenames)]);
+        bindings.filter((b) => b.renameable && isPreserved(b.name)).forEach((b) => {
+            b.renameable = false;
+            b.preserved = true;
         });
+        bindings.filter((b) => !b.renameable).forEach((b) => taken.add(b.name));
 
-        // Minify: remove comments and extra whitespace
-        scrambledCode = scrambledCode
-            .replace(/\/\*[\s\S]*?\*\/|\/\/.*/g, '') // remove comments
-            .replace(/\s+/g, ' '); // collapse whitespace
+        const renames = new Map();
+        const nameMap = {};
+        const sharedGlobals = new Set();
 
-        const mapJson = JSON.stringify(Object.fromEntries(nameMap), null, 2);
-        return { result: scrambledCode, map: mapJson };
+        // Shared globals: their declarations here and their uses from other files alike.
+        if (!dynamic) {
+            const isPlanned = (name) => Object.prototype.hasOwnProperty.call(globalRenames, name);
+            const globals = [
+                ...bindings.filter((b) => b.scope.kind === 'global'),
+                ...groupFreeReferences(freeReferences).values()
+            ];
+            for (const binding of globals) {
+                if (!isPlanned(binding.name)) continue;
+                renames.set(binding, globalRenames[binding.name]);
+                nameMap[globalRenames[binding.name]] = binding.name;
+                sharedGlobals.add(binding.name);
+            }
+        }
+
+        let counter = 0;
+        for (const binding of bindings) {
+            if (!binding.renameable) continue;
+            let newName;
+            do {
+                newName = generateName(counter++);
+            } while (taken.has(newName) || isPreserved(newName));
+            renames.set(binding, newName);
+            nameMap[newName] = binding.name;
+        }
+
+        const properties = options.renamePrivate ? collectProperties(ast, code) : [];
+        const propertyRenames = options.renamePrivate ? (options.propertyRenames || planPropertyRenames([code], options)) : {};
+        const propertyMap = {};
+        // A shared plan covers the whole project; the map keeps the names this file uses.
+        const usedProperties = new Set(properties.map((occurrence) => occurrence.name));
+        Object.entries(propertyRenames).filter(([name]) => usedProperties.has(name)).forEach(([name, newName]) => { propertyMap[newName] = name; });
+
+        // Why each binding kept its name, for the report.
+        const skipped = {};
+        for (const binding of bindings) {
+            if (binding.renameable || renames.has(binding)) continue;
+            const reason = binding.preserved ? 'preserved names'
+                : binding.scope.kind === 'global' ? 'globals'
+                    : binding.scope.dynamic ? 'names reachable by eval or with' : 'exports';
+            skipped[reason] = (skipped[reason] || 0) + 1;
+        }
+
+        // Minify in the same pass, so every edit stays relative to the original code.
+        const bindingEdits = renameEdits(renames);
+        const edits = [...minifier.minifyEdits(code).edits, ...bindingEdits, ...propertyEdits(properties, propertyRenames, bindingEdits)];
+        onProgress(0.8);
+        const scrambledCode = sourceMaps.applyEdits(code, edits);
+
+        const mapJson = containers.wrap('lexical-scramble', {
+            input: code,
+            output: scrambledCode,
+            options,
+            data: { bindings: nameMap, properties: propertyMap },
+            log: `Renamed ${Object.keys(nameMap).length} binding(s) and ${Object.keys(propertyMap).length} private property name(s).`
+        });
+        const output = {
+            result: scrambledCode,
+            map: mapJson,
+            stats: {
+                transformed: {
+                    bindings: Object.keys(nameMap).length - sharedGlobals.size,
+                    'shared globals': sharedGlobals.size,
+                    'private properties': Object.keys(propertyMap).length
+                },
+                skipped
+            }
+        };
+        if (options.sourceMap) {
+            output.sourceMap = sourceMaps.generate(code, edits, options);
+        }
+        return output;
     }
 
     /**
      * Decodes the scrambled code using a provided map.
      * @param {string} scrambledCode The code to deobfuscate.
-     * @param {string} mapJson The JSON map of name changes.
+     * @param {string} mapJson The map from `encode`; its data maps each new name to the original one (version 1 maps hold bindings only).
+     * @param {{checkCode?: boolean}} [options] `checkCode: false` accepts code that is not byte for byte the map's output.
      * @returns {{result: string, map: string}} The original code and a success message.
      */
-    function decode(scrambledCode, mapJson) {
+    function decode(scrambledCode, mapJson, options = {}) {
         if (!mapJson) {
             throw new Error("Deobfuscation map is required for Lexical Scramble.");
         }
+        const container = containers.unwrap(mapJson, 'lexical-scramble', options.checkCode === false ? undefined : scrambledCode);
+        const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        const data = container.methodVersion < 2 ? { bindings: container.data, properties: {} } : container.data;
+        if (!isObject(data) || !isObject(data.bindings) || !isObject(data.properties)) {
+            throw new Error("The map holds no Lexical Scramble data.");
+        }
+        const nameMap = data.bindings;
         try {
-            const nameMap = JSON.parse(mapJson);
-            let originalCode = scrambledCode;
-            const entries = Object.entries(nameMap);
-            // Replace longer new names first to avoid conflicts
-            entries.sort((a, b) => b[1].length - a[1].length);
+            const { ast, isModule } = parser.parse(scrambledCode);
+            const { bindings, freeReferences } = analyze(ast, isModule);
 
-            for (const [oldName, newName] of entries) {
-                const regex = new RegExp(`\\b${newName}\\b`, 'g');
-                originalCode = originalCode.replace(regex, oldName);
+            // Free references only match the map when they were shared globals renamed across files.
+            const renames = new Map();
+            for (const binding of [...bindings, ...groupFreeReferences(freeReferences).values()]) {
+                if (Object.prototype.hasOwnProperty.call(nameMap, binding.name)) {
+                    renames.set(binding, nameMap[binding.name]);
+                }
             }
-            return { result: originalCode, map: "Successfully deobfuscated using the provided map." };
+            const bindingEdits = renameEdits(renames);
+            const edits = [...bindingEdits, ...propertyEdits(collectProperties(ast, scrambledCode), data.properties, bindingEdits)];
+            return { result: sourceMaps.applyEdits(scrambledCode, edits), map: "Successfully deobfuscated using the provided map." };
         } catch (e) {
-            throw new Error("Failed to parse map or deobfuscate. " + e.message);
+            throw new Error("Failed to deobfuscate. " + e.message);
         }
     }
 
-    return { encode, decode };
+    const handler = { encode, decode, planGlobalRenames, planPropertyRenames };
+    registry.registerMethod({
+        id: 'lexical-scramble',
+        label: 'Lexical Scramble (Acak Nama Variabel)',
+        handler,
+        version: 2, // Version 1 maps held the binding renames only.
+        requiresKey: false,
+        canDeobfuscate: true,
+        deobfuscateRequiresMap: true,
+        reversible: true,
+        options: [{
+            name: 'preset',
+            label: 'Preset Nama Bawaan',
+            type: 'select',
+            default: 'none',
+            choices: [
+                { value: 'none', label: 'Tanpa preset' },
+                { value: 'browser', label: 'Browser (window, document, $, on*...)' },
+                { value: 'node', label: 'Node.js (require, module, process...)' },
+                { value: 'worker', label: 'Web Worker (self, postMessage, onmessage...)' }
+            ]
+        }, {
+            name: 'preserve',
+            label: 'Nama yang Dipertahankan (pisahkan dengan koma; glob seperti api_* atau regex seperti ^on[A-Z])',
+            type: 'text',
+            default: ''
+        }, {
+            name: 'renamePrivate',
+            label: 'Acak juga properti _private',
+            type: 'checkbox',
+            default: false
+        }]
+    });
+    return handler;
 })();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = lexicalScramble;
+}
@@ -0,0 +1,146 @@
+/*
+ * File: methods/minify.js
+ * Contains the logic for the Minify method.
+ * This method removes comments and whitespace between tokens. The tokens come from a full parse
+ * (through parser.js), so strings, template literals and regex literals are never touched, and a
+ * line break is kept wherever dropping it could change automatic semicolon insertion.
+ * License comments (block comments starting with `/*!`) and a hashbang line are kept.
+ */
+const minify = (() => {
+    // Browser globals, or their Node modules when loaded with require().
+    const parser = typeof codeParser !== 'undefined' ? codeParser : require('./parser.js');
+    const sourceMaps = typeof sourceMap !== 'undefined' ? sourceMap : require('./sourcemap.js');
+    const registry = typeof methodRegistry !== 'undefined' ? methodRegistry : require('./registry.js');
+
+    // Tokens before which a line break never matters: they cannot start a statement.
+    const NEVER_STARTS_STATEMENT = new Set(['}', ')', ']', ',', ';', '.', '?.', 'eof']);
+
+    const LINE_BREAK = /[\n\r\u2028\u2029]/;
+    const WORD_CHAR = /[\w$\\\u0080-\uffff]/;
+
+    /**
+     * Tells whether a line break after the token never matters: an expression must follow, so no
+     * statement can end here. `return` and `throw` are the exceptions, as a line break ends them.
+     * @param {object} token The token.
+     * @returns {boolean} Whether the line break can go.
+     */
+    function expectsExpression(token) {
+        return token.type.beforeExpr && token.type.label !== 'return' && token.type.label !== 'throw';
+    }
+
+    /**
+     * Tells whether two tokens would run together (or start a comment) without a space between them.
+     * @param {string} before The text of the first token.
+     * @param {string} after The text of the second token.
+     * @param {object} token The first token.
+     * @returns {boolean} Whether a space is needed.
+     */
+    function needsSpace(before, after, token) {
+        const last = before[before.length - 1];
+        const first = after[0];
+        if (WORD_CHAR.test(last) && WORD_CHAR.test(first)) return true;
+        if ((last === '+' || last === '-' || last === '/') && first === last) return true;
+        if ((last === '<' && first === '!') || (last === '-' && first === '>')) return true; // `<!--` and `-->` start HTML comments in scripts
+        return token.type.label === 'num' && /^\d[\d_]*$/.test(before) && first === '.'; // `1 .toString()`
+    }
+
+    /**
+     * Lists the source edits that minify the code: every run of whitespace and comments between two
+     * tokens is replaced by nothing, a space or a line break, keeping license comments.
+     * @param {string} code The JavaScript code.
+     * @returns {{edits: Array<{start: number, end: number, text: string}>, licenseComments: number}} The edits and the number of license comments kept.
+     */
+    function minifyEdits(code) {
+        const { tokens, comments } = parser.tokenize(code);
+        const edits = [];
+        let licenseComments = 0;
+
+        // A hashbang must stay on the first line, followed by its line break.
+        let position = code.startsWith('#!') ? Math.min(comments[0].end + 1, code.length) : 0;
+        let commentIndex = code.startsWith('#!') ? 1 : 0;
+        let previous = null;
+
+        for (const token of tokens) {
+            const gap = code.slice(position, token.start);
+            const kept = [];
+            while (commentIndex < comments.length && comments[commentIndex].start < token.start) {
+                const comment = comments[commentIndex++];
+                if (comment.type === 'Block' && comment.value.startsWith('!')) {
+                    kept.push(code.slice(comment.start, comment.end));
+                }
+            }
+
+            const previousText = previous ? code.slice(previous.start, previous.end) : '';
+            const nextText = code.slice(token.start, token.end);
+            let text = '';
+            if (previous && LINE_BREAK.test(gap) && !expectsExpression(previous) && !NEVER_STARTS_STATEMENT.has(token.type.label)) {
+                text = '\n';
+            } else if (gap && previousText && nextText && needsSpace(previousText, nextText, previous)) {
+                text = ' ';
+            }
+            if (kept.length > 0) {
+                licenseComments += kept.length;
+                const lead = previousText.endsWith('/') ? ' ' : '';
+                const trail = text || (!previous || token.type.label === 'eof' ? '\n' : '');
+                text = lead + kept.join('\n') + trail;
+            }
+
+            if (gap !== text) edits.push({ start: position, end: token.start, text });
+            previous = token;
+            position = token.end;
+        }
+        return { edits, licenseComments };
+    }
+
+    /**
+     * Counts the UTF-8 bytes of a string.
+     * @param {string} text The text.
+     * @returns {number} The size in bytes.
+     */
+    function byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    /**
+     * Minifies the code.
+     * @param {string} code The JavaScript code.
+     * @param {string} key Unused; Minify needs no key.
+     * @param {{sourceMap?: boolean, sourceFileName?: string, outputFileName?: string, onProgress?: function(number): void}} [options] Encoding options.
+     * @returns {{result: string, map: string, sourceMap?: string, stats: object}} The minified code, a size report, optionally a Source Map v3,
+     *     and the bytes removed and license comments kept.
+     */
+    function encode(code, key, options = {}) {
+        const onProgress = options.onProgress || (() => {});
+        const { edits, licenseComments } = minifyEdits(code);
+        onProgress(0.8);
+        const result = sourceMaps.applyEdits(code, edits);
+
+        const before = byteLength(code);
+        const after = byteLength(result);
+        const saved = before > 0 ? ((before - after) / before * 100).toFixed(1) : '0.0';
+        const output = {
+            result,
+            map: `Minified from ${before} to ${after} bytes (${saved}% smaller). Kept ${licenseComments} license comment(s).`,
+            stats: { transformed: { 'bytes of whitespace and comments': before - after }, skipped: { 'license comments': licenseComments } }
+        };
+        if (options.sourceMap) {
+            output.sourceMap = sourceMaps.generate(code, edits, options);
+        }
+        return output;
+    }
+
+    const handler = { encode, minifyEdits };
+    registry.registerMethod({
+        id: 'minify',
+        label: 'Minify (Perkecil Kode)',
+        handler,
+        requiresKey: false,
+        canDeobfuscate: false
+    });
+    return handler;
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = minify;
+}
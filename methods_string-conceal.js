@@ -2,105 +2,281 @@
  * File: methods/string-conceal.js
  * Contains the logic for String Concealment obfuscation.
  * This method extracts all strings into an encrypted array and replaces them with a decoder call.
+ * Strings are found on the syntax tree (through parser.js), so comments, regex literals, directives,
+ * module specifiers and object keys are left alone, and template literal text is concealed too.
  */
 const stringConceal = (() => {
+    // Browser globals, or their Node modules when loaded with require().
+    const parser = typeof codeParser !== 'undefined' ? codeParser : require('./parser.js');
+    const sourceMaps = typeof sourceMap !== 'undefined' ? sourceMap : require('./sourcemap.js');
+    const registry = typeof methodRegistry !== 'undefined' ? methodRegistry : require('./registry.js');
+    const randoms = typeof randomSource !== 'undefined' ? randomSource : require('./random.js');
+    const containers = typeof mapContainer !== 'undefined' ? mapContainer : require('./container.js');
+
     /**
-     * A simple XOR cipher for encrypting/decrypting strings.
-     * @param {string} text The text to process.
+     * Packs UTF-16 code units into Base64 (two bytes per unit), so any string survives `btoa`.
+     * @param {number[]} units The code units.
+     * @returns {string} The Base64 string.
+     */
+    function packUnits(units) {
+        let binary = '';
+        for (const unit of units) binary += String.fromCharCode(unit >> 8, unit & 255);
+        return btoa(binary);
+    }
+
+    /**
+     * Splits a string into its UTF-16 code units.
+     * @param {string} text The text.
+     * @returns {number[]} The code units.
+     */
+    function toUnits(text) {
+        return Array.from({ length: text.length }, (_, i) => text.charCodeAt(i));
+    }
+
+    /**
+     * Encrypts a string with a key-based XOR cipher over UTF-16 code units.
+     * @param {string} text The text to encrypt.
      * @param {string} key The secret key.
-     * @returns {string} The processed text.
+     * @returns {string} The encrypted text as Base64.
+     */
+    function xorEncrypt(text, key) {
+        return packUnits(toUnits(text).map((unit, i) => unit ^ key.charCodeAt(i % key.length)));
+    }
+
+    /**
+     * Tells whether a string literal must stay a literal: directives ('use strict'), module
+     * specifiers, import attributes, export names and non-computed keys.
+     * @param {object} parent The literal's parent node.
+     * @param {string} key The key holding the literal in its parent.
+     * @returns {string|null} What kind of literal it is (counted as skipped in the stats), or null to conceal it.
      */
-    function xorCipher(text, key) {
-        return text.split('').map((char, i) => {
-            return String.fromCharCode(char.charCodeAt(0) ^ key.charCodeAt(i % key.length));
-        }).join('');
+    function mustStayLiteral(parent, key) {
+        if (!parent) return null;
+        if (parent.type === 'ExpressionStatement' && parent.directive !== undefined) return 'directives';
+        if (key === 'source' || parent.type === 'ImportAttribute') return 'module specifiers';
+        if (/^(Import|Export)\w*Specifier$/.test(parent.type) || parent.type === 'ExportAllDeclaration') return 'import and export names';
+        return key === 'key' && !parent.computed ? 'object keys' : null;
     }
 
     /**
-     * Encodes the code by concealing all string literals.
+     * Finds where the decoder can be inserted: after a hashbang and the directive prologue, so
+     * 'use strict' keeps its effect.
+     * @param {string} code The JavaScript code.
+     * @param {object} ast The parsed program.
+     * @returns {{offset: number, separator: string}} The offset and the text needed before the decoder.
+     */
+    function findInsertionPoint(code, ast) {
+        let offset = code.startsWith('#!') ? code.indexOf('\n') + 1 || code.length : 0;
+        let separator = offset > 0 && offset === code.length ? '\n' : '';
+        for (const statement of ast.body) {
+            if (statement.type !== 'ExpressionStatement' || statement.directive === undefined) break;
+            offset = statement.end;
+            separator = code[statement.end - 1] === ';' ? '' : ';';
+        }
+        return { offset, separator };
+    }
+
+    /**
+     * Lists every identifier name the program uses (its bindings, the globals it reads and the
+     * property names it writes), so generated names can keep clear of them.
+     * @param {object} ast The parsed program.
+     * @returns {Set<string>} The names.
+     */
+    function usedNames(ast) {
+        const names = new Set();
+        parser.walk(ast, (node) => {
+            if (node.type === 'Identifier') names.add(node.name);
+        });
+        return names;
+    }
+
+    /**
+     * Draws a random name with a prefix, drawing again while it clashes with a name in use.
+     * @param {function(): number} random The generator.
+     * @param {string} prefix The prefix.
+     * @param {Set<string>} taken The names in use.
+     * @returns {string} The name.
+     */
+    function drawName(random, prefix, taken) {
+        let name;
+        do {
+            name = prefix + randoms.string(random, 4);
+        } while (taken.has(name));
+        return name;
+    }
+
+    /**
+     * Encodes the code by concealing all string literals and template literal text.
+     * The map's data records the original source text of every concealed string, which is what
+     * lets `decode` rebuild the original code exactly.
      * @param {string} code The JavaScript code.
      * @param {string} key A secret key for encrypting the strings.
-     * @returns {{result: string, map: string}} The obfuscated code and a log.
+     * @param {{seed?: string|number, random?: function(): number, sourceMap?: boolean, sourceFileName?: string, outputFileName?: string, onProgress?: function(number): void}} [options] Encoding options; the seed fixes the array and decoder names.
+     * @returns {{result: string, map: string, sourceMap?: string, stats: object}} The obfuscated code, the map for deobfuscation,
+     *     optionally a Source Map v3, and the counts of concealed and skipped strings.
      */
-    function encode(code, key) {
+    function encode(code, key, options = {}) {
         if (!key) {
             throw new Error("A secret key is required for String Concealment.");
         }
-        
-        // Regex to find string literals (handles escaped quotes)
-        const stringRegex = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'/g;
-        const strings = [];
-        
-        // First pass: extract all strings and replace them with a placeholder
-        const codeWithoutStrings = code.replace(stringRegex, (match, dblQuoteStr, sglQuoteStr) => {
-            const extractedString = dblQuoteStr !== undefined ? dblQuoteStr : sglQuoteStr;
-            const stringIndex = strings.length;
-            strings.push(extractedString);
-            return `__DECRYPT_PLACEHOLDER__(${stringIndex})`;
-        });
 
-        if (strings.length === 0) {
-            return { result: code, map: "No strings found to conceal." };
+        const onProgress = options.onProgress || (() => {});
+        const { ast } = parser.parse(code);
+        onProgress(0.4);
+        const random = randoms.forOptions(options);
+        // Random array and decoder names that cannot shadow, or be shadowed by, the code's own names.
+        const taken = usedNames(ast);
+        const arrayName = drawName(random, '_S', taken);
+        const funcName = drawName(random, '_D', taken);
+
+        // Replace every string value with a call to the decoder function
+        const values = [];
+        const rawStrings = [];
+        const templateIndexes = [];
+        const edits = [];
+        const skipped = {};
+        const skip = (reason) => { skipped[reason] = (skipped[reason] || 0) + 1; };
+        const conceal = (node, value, text) => {
+            edits.push({ start: node.start, end: node.end, text });
+            values.push(value);
+            rawStrings.push(code.slice(node.start, node.end));
+        };
+
+        const visitor = (node, parent, parentKey) => {
+            if (node.type === 'TaggedTemplateExpression') {
+                // The tag receives the raw strings, so they must stay as written.
+                node.quasi.quasis.forEach((quasi) => { if (quasi.value.raw) skip('tagged template strings'); });
+                parser.walk(node.tag, visitor);
+                node.quasi.expressions.forEach((expression) => parser.walk(expression, visitor));
+                return false;
+            }
+            if (node.type === 'Literal' && typeof node.value === 'string') {
+                const reason = mustStayLiteral(parent, parentKey);
+                if (reason) skip(reason);
+                else conceal(node, node.value, `${funcName}(${values.length})`);
+            } else if (node.type === 'TemplateElement' && node.value.cooked) {
+                templateIndexes.push(values.length);
+                conceal(node, node.value.cooked, `\${${funcName}(${values.length})}`);
+            }
+        };
+        parser.walk(ast, visitor);
+        onProgress(0.7);
+
+        const { offset, separator } = findInsertionPoint(code, ast);
+        const nameMap = {
+            array: arrayName,
+            decoder: funcName,
+            separator,
+            strings: rawStrings,
+            templateIndexes
+        };
+
+        if (values.length > 0) {
+            // The self-contained decoder logic, inserted before the code
+            const decoderLogic = `${separator}var ${arrayName}=${JSON.stringify(values.map((value) => xorEncrypt(value, key)))};var ${funcName}=function(i){var u=function(s){s=atob(s);for(var r=[],j=0;j<s.length;j+=2)r.push(s.charCodeAt(j)<<8|s.charCodeAt(j+1));return r},k=u("${packUnits(toUnits(key))}"),d=u(${arrayName}[i]),t="";for(var j=0;j<d.length;j++)t+=String.fromCharCode(d[j]^k[j%k.length]);return t};`;
+            edits.push({ start: offset, end: offset, text: decoderLogic });
         }
 
-        // Encrypt the collected strings using the provided key
-        const encryptedStrings = strings.map(s => btoa(xorCipher(s, key)));
-
-        // Create the decoder function and the final code
-        const arrayName = '_S' + Math.random().toString(36).substring(2, 6); // Randomize array name
-        const funcName = '_D' + Math.random().toString(36).substring(2, 6); // Randomize function name
-        
-        // The self-contained decoder logic
-        const decoderLogic = `var ${arrayName}=${JSON.stringify(encryptedStrings)};var ${funcName}=function(i){var k="${btoa(key)}";return atob(${arrayName}[i]).split('').map(function(c,j){return String.fromCharCode(c.charCodeAt(0)^atob(k).charCodeAt(j%atob(k).length))}).join('')};`;
-        
-        // Replace placeholders with the actual decoder function call
-        const finalCode = decoderLogic + codeWithoutStrings.replace(/__DECRYPT_PLACEHOLDER__\((.*?)\)/g, `${funcName}($1)`);
-        
-        return { 
-            result: finalCode, 
-            map: `Concealed ${strings.length} strings. Deobfuscation can reveal the strings but not reconstruct the code automatically.` 
+        const result = sourceMaps.applyEdits(code, edits);
+        const output = {
+            result,
+            map: containers.wrap('string-conceal', {
+                input: code,
+                output: result,
+                options,
+                data: nameMap,
+                log: `Concealed ${values.length} string(s).`
+            }),
+            stats: {
+                transformed: { strings: values.length - templateIndexes.length, 'template parts': templateIndexes.length },
+                skipped
+            }
         };
+        if (options.sourceMap) {
+            output.sourceMap = sourceMaps.generate(code, edits, options);
+        }
+        return output;
     }
 
     /**
-     * "Decodes" the code by extracting and decrypting the concealed strings.
-     * Note: This does not reconstruct the original code, it only reveals the hidden strings.
+     * Decodes the code by removing the decoder and putting every original string back.
      * @param {string} code The obfuscated code.
-     * @param {string} key The secret key used for encoding.
-     * @returns {{result: string, map: string}} A message and the list of revealed strings.
+     * @param {string} mapJson The map produced by `encode`.
+     * @param {{checkCode?: boolean}} [options] `checkCode: false` accepts code that is not byte for byte the map's output.
+     * @returns {{result: string, map: string}} The original code and a log message.
      */
-    function decode(code, key) {
-        if (!key) {
-            throw new Error("A secret key is required to reveal strings.");
+    function decode(code, mapJson, options = {}) {
+        if (!mapJson) {
+            throw new Error("The String Conceal map is required to restore the code.");
+        }
+        const container = containers.unwrap(mapJson, 'string-conceal', options.checkCode === false ? undefined : code);
+        const nameMap = container.data;
+        if (!nameMap || typeof nameMap.decoder !== 'string' || !Array.isArray(nameMap.strings)) {
+            throw new Error("The map holds no String Conceal data.");
         }
-        try {
-            // Dynamically find the array and key variable names
-            const arrayMatch = code.match(/var (_S[a-zA-Z0-9]+)=(\[.*?\]);/);
-            const keyMatch = code.match(/var k="([a-zA-Z0-9=]+)";/);
 
-            if (!arrayMatch || !keyMatch) {
-                throw new Error("Could not find the concealed string array or key in the code.");
+        const { ast } = parser.parse(code);
+        const edits = [];
+
+        // Remove the inserted `var <array>=...;var <decoder>=...;` statements (and their separator).
+        if (nameMap.strings.length > 0) {
+            const declares = (statement, name) => statement && statement.type === 'VariableDeclaration'
+                && statement.declarations[0].id.name === name;
+            const index = ast.body.findIndex((statement) => declares(statement, nameMap.array));
+            if (index === -1 || !declares(ast.body[index + 1], nameMap.decoder)) {
+                throw new Error("The code does not match the map: the string decoder was not found.");
             }
-            
-            const encryptedStrings = JSON.parse(arrayMatch[2]);
-            const encodedKey = keyMatch[1];
+            const separator = nameMap.separator || '';
+            const start = ast.body[index].start;
+            const end = ast.body[index + 1].end;
+            const hasSeparator = code.slice(start - separator.length, start) === separator;
+            // A minifier may have joined the next statement to the decoder; the directive then needs a line break.
+            const text = hasSeparator && separator === ';' && /^[^\s;]/.test(code.slice(end)) ? '\n' : '';
+            edits.push({ start: hasSeparator ? start - separator.length : start, end, text });
+        }
+
+        const templateIndexes = new Set(nameMap.templateIndexes);
+        let restored = 0;
+        parser.walk(ast, (node, parent) => {
+            if (node.type !== 'CallExpression' || node.callee.type !== 'Identifier' || node.callee.name !== nameMap.decoder) return;
+            const [argument] = node.arguments;
+            if (node.arguments.length !== 1 || argument.type !== 'Literal' || typeof argument.value !== 'number') return;
+            if (!(argument.value in nameMap.strings)) return;
 
-            // Check if the provided key matches the one in the script
-            if (btoa(key) !== encodedKey) {
-                throw new Error("The provided key is incorrect.");
+            const original = nameMap.strings[argument.value];
+            if (templateIndexes.has(argument.value)) {
+                // Replace the whole `${...}` placeholder with the original template text.
+                const index = parent.expressions.indexOf(node);
+                edits.push({ start: parent.quasis[index].end, end: parent.quasis[index + 1].start, text: original });
+            } else {
+                edits.push({ start: node.start, end: node.end, text: original });
             }
+            restored++;
+            return false;
+        });
 
-            const decryptedStrings = encryptedStrings.map(s => xorCipher(atob(s), key));
-            
-            const map = "Revealed strings from the concealed array:\n\n" + decryptedStrings.map((s, i) => `${i}: "${s}"`).join('\n');
-            return { 
-                result: "// Code cannot be automatically reconstructed.\n// See the map/log for the list of revealed strings.", 
-                map: map 
-            };
-        } catch(e) {
-            throw new Error("Failed to reveal strings. " + e.message);
-        }
+        const result = sourceMaps.applyEdits(code, edits);
+        const identical = containers.matchesInput(container, result) ? ' The code is identical to the original.' : '';
+        return {
+            result,
+            map: `Restored ${restored} of ${nameMap.strings.length} concealed strings.${identical}`
+        };
     }
 
-    return { encode, decode };
+    const handler = { encode, decode };
+    registry.registerMethod({
+        id: 'string-conceal',
+        label: 'String Conceal (Sembunyikan Teks)',
+        handler,
+        requiresKey: true,
+        canDeobfuscate: true,
+        deobfuscateRequiresMap: true,
+        reversible: true
+    });
+    return handler;
 })();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = stringConceal;
+}
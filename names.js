@@ -0,0 +1,163 @@
+/*
+ * File: names.js
+ * The names Lexical Scramble must leave alone: a user list of exact names, globs and regexes, plus
+ * presets for the globals of an environment (browser, Node, Web Worker). Preserved names are never
+ * renamed and never handed out as new names. The same settings can live in the project as
+ * `surxrat.config.json`, which batch mode and the CLI read.
+ */
+const reservedNames = (() => {
+    const CONFIG_FILE_NAME = 'surxrat.config.json';
+    const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+    const GLOB = /^[\w$*?]+$/;
+    // Properties named like `_cache` (but not `_` or `__proto__`) count as private.
+    const PRIVATE_PROPERTY = /^_[A-Za-z0-9$]/;
+
+    // Entries use the syntax of the user list; a global an environment calls by name (such as a
+    // top-level `onmessage` in a worker) would stop working if it were renamed.
+    const TIMERS = ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'structuredClone'];
+    const PRESETS = {
+        none: [],
+        browser: [
+            'window', 'self', 'document', 'navigator', 'location', 'history', 'screen', 'console', 'globalThis',
+            'alert', 'confirm', 'prompt', 'fetch', 'XMLHttpRequest', 'localStorage', 'sessionStorage', 'indexedDB',
+            'requestAnimationFrame', 'cancelAnimationFrame', 'addEventListener', 'removeEventListener', 'dispatchEvent',
+            'customElements', 'jQuery', '$', ...TIMERS, '/^on[a-z]+$/'
+        ],
+        node: [
+            'require', 'module', 'exports', '__dirname', '__filename', 'process', 'Buffer', 'global', 'globalThis',
+            'console', 'setImmediate', 'clearImmediate', ...TIMERS
+        ],
+        worker: [
+            'self', 'globalThis', 'postMessage', 'importScripts', 'close', 'location', 'navigator', 'console', 'fetch',
+            'indexedDB', 'addEventListener', 'removeEventListener', 'dispatchEvent', ...TIMERS, '/^on[a-z]+$/'
+        ]
+    };
+
+    /**
+     * Splits a list as typed by the user: entries are separated by commas or whitespace, except inside
+     * `/regex/`, a character class or a group, so `^on[A-Z]{1,3}` and `(get|set)_\w+` stay whole.
+     * @param {string|Array<string|RegExp>} [value] The list, or its entries.
+     * @returns {Array<string|RegExp>} The entries.
+     */
+    function parseList(value) {
+        if (Array.isArray(value)) return value;
+        const text = String(value || '');
+        const entries = [];
+        let entry = '';
+        let inSlashes = false;
+        let inClass = false;
+        let depth = 0; // Open `(` and `{` of a bare regex
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                entry += text.slice(i, i + 2);
+                i++;
+                continue;
+            }
+            if (!inSlashes && !inClass && !depth && /[,\s]/.test(char)) {
+                if (entry) entries.push(entry);
+                entry = '';
+                continue;
+            }
+            if (inClass) inClass = char !== ']';
+            else if (char === '[') inClass = true;
+            else if (char === '/' && (inSlashes || !entry)) inSlashes = !inSlashes;
+            else if (!inSlashes && (char === '(' || char === '{')) depth++;
+            else if (!inSlashes && (char === ')' || char === '}') && depth) depth--;
+            entry += char;
+        }
+        if (entry) entries.push(entry);
+        return entries;
+    }
+
+    /**
+     * Turns one entry into a test: an identifier is an exact name, `*` and `?` make a glob, `/.../flags`
+     * or anything else is a regex (unanchored, like `^on[A-Z]`).
+     * @param {string|RegExp} entry The entry.
+     * @returns {string|RegExp} The exact name, or a regex.
+     */
+    function compileEntry(entry) {
+        if (entry instanceof RegExp) return entry;
+        const text = String(entry);
+        if (IDENTIFIER.test(text)) return text;
+        if (GLOB.test(text)) {
+            return new RegExp(`^${text.replace(/\$/g, '\\$').replace(/\*/g, '[\\w$]*').replace(/\?/g, '[\\w$]')}$`);
+        }
+        const literal = text.match(/^\/(.+)\/([a-z]*)$/);
+        try {
+            return literal ? new RegExp(literal[1], literal[2]) : new RegExp(text);
+        } catch (e) {
+            throw new Error(`Invalid preserved name pattern "${text}": ${e.message}`);
+        }
+    }
+
+    /**
+     * Builds the test for the names to keep.
+     * @param {{preset?: string, preserve?: string|Array<string|RegExp>}} [options] A preset id (see `PRESETS`) and the user list.
+     * @returns {function(string): boolean} Tells whether a name is preserved.
+     */
+    function create({ preset = 'none', preserve } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(PRESETS, preset)) {
+            throw new Error(`Unknown name preset "${preset}". Use one of: ${Object.keys(PRESETS).join(', ')}.`);
+        }
+        const exact = new Set();
+        const patterns = [];
+        [...PRESETS[preset], ...parseList(preserve)].map(compileEntry).forEach((test) => {
+            if (typeof test === 'string') exact.add(test);
+            else patterns.push(test);
+        });
+        return (name) => exact.has(name) || patterns.some((pattern) => {
+            pattern.lastIndex = 0;
+            return pattern.test(name);
+        });
+    }
+
+    /**
+     * Tells whether a property name counts as private (`_name`).
+     * @param {string} name The property name.
+     * @returns {boolean} Whether it does.
+     */
+    function isPrivateProperty(name) {
+        return PRIVATE_PROPERTY.test(name);
+    }
+
+    /**
+     * Reads a project's `surxrat.config.json`.
+     * @param {string} text The file's contents.
+     * @returns {{preset: string, preserve: string, renamePrivate: boolean}} The Lexical Scramble options it sets.
+     */
+    function readConfig(text) {
+        let config;
+        try {
+            config = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`${CONFIG_FILE_NAME} is not valid JSON: ${e.message}`);
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`${CONFIG_FILE_NAME} must hold an object.`);
+        }
+        const options = {
+            preset: config.preset === undefined ? 'none' : config.preset,
+            preserve: parseList(config.preserve).map(String).join(', '),
+            renamePrivate: Boolean(config.renamePrivate)
+        };
+        create(options); // Reports an unknown preset or a broken pattern now rather than mid-run.
+        return options;
+    }
+
+    /**
+     * Writes the settings as a `surxrat.config.json`.
+     * @param {{preset?: string, preserve?: string|string[], renamePrivate?: boolean}} options The Lexical Scramble options.
+     * @returns {string} The file's contents.
+     */
+    function writeConfig({ preset = 'none', preserve, renamePrivate = false } = {}) {
+        return JSON.stringify({ preset, preserve: parseList(preserve).map(String), renamePrivate: Boolean(renamePrivate) }, null, 2) + '\n';
+    }
+
+    return { CONFIG_FILE_NAME, PRESETS, parseList, create, isPrivateProperty, readConfig, writeConfig };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = reservedNames;
+}
@@ -0,0 +1,73 @@
+/*
+ * File: parser.js
+ * Shared JavaScript parsing helpers built on Acorn (loaded as the global `acorn`).
+ */
+const codeParser = (() => {
+    // Browser global, or its Node module when loaded with require().
+    const parser = typeof acorn !== 'undefined' ? acorn : require('acorn');
+
+    // Event handler attributes are function bodies, so a top-level `return` is accepted.
+    const OPTIONS = { ecmaVersion: 'latest', allowHashBang: true, allowReturnOutsideFunction: true };
+
+    /**
+     * Parses the code as a classic script, falling back to an ES module.
+     * @param {string} code The JavaScript code.
+     * @param {function(): object} [extraOptions] Returns more Acorn options for each attempt, e.g. fresh `onToken` arrays.
+     * @returns {{ast: object, isModule: boolean}} The ESTree program and its source type.
+     */
+    function parse(code, extraOptions = () => ({})) {
+        try {
+            return { ast: parser.parse(code, { ...OPTIONS, ...extraOptions(), sourceType: 'script' }), isModule: false };
+        } catch (scriptError) {
+            try {
+                return { ast: parser.parse(code, { ...OPTIONS, ...extraOptions(), sourceType: 'module' }), isModule: true };
+            } catch (moduleError) {
+                throw new Error(`Cannot parse the code: ${moduleError.message}`);
+            }
+        }
+    }
+
+    /**
+     * Splits the code into tokens and comments. The code is fully parsed, so a `/` is always
+     * told apart correctly as division or the start of a regex literal.
+     * @param {string} code The JavaScript code.
+     * @returns {{tokens: object[], comments: object[], isModule: boolean}} The tokens (ending with an `eof` token), the comments and the source type.
+     */
+    function tokenize(code) {
+        let tokens;
+        let comments;
+        const { isModule } = parse(code, () => {
+            [tokens, comments] = [[], []];
+            return { onToken: tokens, onComment: comments };
+        });
+        return { tokens, comments, isModule };
+    }
+
+    /**
+     * Visits every node depth-first. Returning `false` from the visitor skips the node's children.
+     * @param {object} node The node to start from.
+     * @param {function(object, object|null, string|null): (boolean|void)} visitor Called with the node, its parent and the parent's key holding it.
+     * @param {object|null} [parent] The parent node.
+     * @param {string|null} [key] The key of `node` in `parent`.
+     */
+    function walk(node, visitor, parent = null, key = null) {
+        if (visitor(node, parent, key) === false) return;
+        for (const childKey of Object.keys(node)) {
+            const child = node[childKey];
+            if (Array.isArray(child)) {
+                child.forEach((item) => {
+                    if (item && typeof item.type === 'string') walk(item, visitor, node, childKey);
+                });
+            } else if (child && typeof child.type === 'string') {
+                walk(child, visitor, node, childKey);
+            }
+        }
+    }
+
+    return { parse, tokenize, walk };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = codeParser;
+}
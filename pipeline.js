@@ -0,0 +1,127 @@
+/*
+ * File: pipeline.js
+ * Chains several obfuscation methods in a chosen order and records a manifest
+ * that lets the chain be replayed in reverse to restore the original code.
+ * The manifest is a map container (container.js) whose data holds the steps.
+ */
+const pipeline = (() => {
+    // Browser globals, or their Node modules when loaded with require().
+    const registry = typeof methodRegistry !== 'undefined' ? methodRegistry : require('./registry.js');
+    const randoms = typeof randomSource !== 'undefined' ? randomSource : require('./random.js');
+    const containers = typeof mapContainer !== 'undefined' ? mapContainer : require('./container.js');
+
+    /**
+     * Scales one step's progress to the whole pipeline.
+     * @param {{onProgress?: function(number): void}} runOptions The pipeline options.
+     * @param {number} done How many steps are already finished.
+     * @param {number} total The number of steps.
+     * @returns {function(number): void} The step's progress callback.
+     */
+    function stepProgress(runOptions, done, total) {
+        const onProgress = runOptions.onProgress || (() => {});
+        onProgress(done / total);
+        return (fraction) => onProgress((done + fraction) / total);
+    }
+
+    /**
+     * Runs the steps in order, feeding each step's output into the next.
+     * Steps may use any method in the registry.
+     * Keys are never written to the manifest; a step that needs one records a `keyRef`
+     * (the step's own `keyRef`, or `step<N>`) under which the key must be supplied to `reverse`.
+     * @param {string} code The JavaScript code.
+     * @param {Array<{method: string, key?: string, keyRef?: string, options?: object}>} steps The steps, in order.
+     * @param {{seed?: string|number, onProgress?: function(number): void}} [runOptions] The seed of one generator shared by
+     *     all steps, and a callback receiving the fraction of the whole pipeline done.
+     * @returns {Promise<{result: string, map: string, stats: object[]}>} The final code, the manifest (a map container whose data
+     *     is `{steps}`) and each step's stats, tagged with its method.
+     */
+    async function run(code, steps, runOptions = {}) {
+        if (!code) {
+            throw new Error("Code cannot be empty for the pipeline.");
+        }
+        if (!steps || steps.length === 0) {
+            throw new Error("A pipeline needs at least one step.");
+        }
+
+        let current = code;
+        const manifestSteps = [];
+        const stats = [];
+        const random = randoms.hasSeed(runOptions.seed) ? randoms.create(runOptions.seed) : undefined;
+        for (const [index, step] of steps.entries()) {
+            const method = registry.getMethod(step.method);
+            const options = step.options || {};
+            let output;
+            try {
+                output = await method.handler.encode(current, step.key, { ...options, random, onProgress: stepProgress(runOptions, index, steps.length) });
+            } catch (e) {
+                throw new Error(`Step ${index + 1} (${step.method}) failed: ${e.message}`);
+            }
+
+            const entry = { method: step.method, options };
+            if (method.requiresKey) entry.keyRef = step.keyRef || `step${index + 1}`;
+            if (method.deobfuscateRequiresMap) entry.map = output.map;
+            manifestSteps.push(entry);
+            stats.push({ method: step.method, ...output.stats });
+            current = output.result;
+        }
+
+        const manifest = containers.wrap('pipeline', {
+            input: code,
+            output: current,
+            options: { seed: runOptions.seed },
+            data: { steps: manifestSteps },
+            log: `Ran ${manifestSteps.length} pipeline steps.`
+        });
+        return { result: current, map: manifest, stats };
+    }
+
+    /**
+     * Replays a manifest in reverse order to restore the code the pipeline started from.
+     * @param {string} code The pipeline output.
+     * @param {string} manifestJson The manifest produced by `run`.
+     * @param {Object<string, string>} [keys] Keys by `keyRef`.
+     * @param {{onProgress?: function(number): void}} [runOptions] Receives the fraction of the whole replay done.
+     * @returns {Promise<{result: string, map: string}>} The restored code and a log message.
+     */
+    async function reverse(code, manifestJson, keys = {}, runOptions = {}) {
+        if (!manifestJson) {
+            throw new Error("The pipeline manifest is required to deobfuscate.");
+        }
+        const container = containers.unwrap(manifestJson, 'pipeline', code);
+        const steps = container.data && container.data.steps;
+        if (!Array.isArray(steps)) {
+            throw new Error("The pipeline manifest holds no steps.");
+        }
+
+        let current = code;
+        for (let index = steps.length - 1; index >= 0; index--) {
+            const step = steps[index];
+            const method = registry.getMethod(step.method);
+            if (!method.reversible) {
+                throw new Error(`Step ${index + 1} (${step.method}) cannot be reversed.`);
+            }
+            const arg = method.deobfuscateRequiresMap ? step.map : keys[step.keyRef];
+            if (method.requiresKey && !arg) {
+                throw new Error(`Missing key "${step.keyRef}" for step ${index + 1} (${step.method}).`);
+            }
+            try {
+                const done = steps.length - 1 - index;
+                // Reversing a later step need not give back its input byte for byte (Lexical Scramble
+                // reprints the code), so only the pipeline's own output is checked against the manifest.
+                const options = { checkCode: false, onProgress: stepProgress(runOptions, done, steps.length) };
+                current = (await method.handler.decode(current, arg, options)).result;
+            } catch (e) {
+                throw new Error(`Reversing step ${index + 1} (${step.method}) failed: ${e.message}`);
+            }
+        }
+        const identical = containers.matchesInput(container, current) ? ' The code is identical to the original.' : '';
+        return { result: current, map: `Reversed ${steps.length} pipeline steps.${identical}` };
+    }
+
+    return { run, reverse };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = pipeline;
+}
@@ -0,0 +1,256 @@
+/*
+ * File: projects.js
+ * Saved projects and their run history, kept in the browser's IndexedDB so nothing is lost on reload.
+ * A project holds the source, the chosen method (or pipeline steps), its options and seed; every
+ * obfuscation of an open project adds a run with its output, map and report, so an old output can be
+ * restored or deobfuscated later. Keys are never part of a project or a run: they are only kept when
+ * the user opts in, encrypted with a passphrase (PBKDF2-SHA256 and AES-GCM, as in Lana-Vortex secure mode).
+ */
+const projectStore = (() => {
+    const DB_NAME = 'surxrat';
+    const DB_VERSION = 1;
+    const HISTORY_LIMIT = 50; // Runs kept per project; the oldest go first
+    const KEYSTORE_ITERATIONS = 600000;
+
+    let database = null;
+
+    /**
+     * Turns an IndexedDB request into a promise.
+     * @param {IDBRequest} request The request.
+     * @returns {Promise<*>} Its result.
+     */
+    function settle(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Opens the database on first use, creating its stores.
+     * @returns {Promise<IDBDatabase>} The database.
+     */
+    function open() {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error("This browser has no IndexedDB, so projects cannot be saved."));
+        }
+        if (!database) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('projects', { keyPath: 'id', autoIncrement: true });
+                db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true }).createIndex('projectId', 'projectId');
+                db.createObjectStore('keystore', { keyPath: 'projectId' });
+            };
+            database = settle(request).catch((e) => {
+                database = null;
+                throw e;
+            });
+        }
+        return database;
+    }
+
+    /**
+     * Runs work in one transaction and waits for it to commit.
+     * @param {string[]} storeNames The stores used.
+     * @param {'readonly'|'readwrite'} mode The transaction mode.
+     * @param {function(Object<string, IDBObjectStore>): Promise<*>|*} work Receives the stores by name.
+     * @returns {Promise<*>} What the work returned.
+     */
+    async function transact(storeNames, mode, work) {
+        const db = await open();
+        const transaction = db.transaction(storeNames, mode);
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error("The transaction was aborted."));
+        });
+        const stores = Object.fromEntries(storeNames.map((name) => [name, transaction.objectStore(name)]));
+        const result = await work(stores);
+        await done;
+        return result;
+    }
+
+    /**
+     * Drops keys from pipeline steps, so they never reach a project or a run.
+     * @param {Array<{method: string, key?: string, options?: object}>} [steps] The steps.
+     * @returns {Array<{method: string, options: object}>|undefined} The steps without keys.
+     */
+    function withoutKeys(steps) {
+        return steps && steps.map(({ method, options = {} }) => ({ method, options }));
+    }
+
+    /**
+     * Lists the saved projects, the most recently saved first.
+     * @returns {Promise<Array<{id: number, name: string, updatedAt: number}>>} The projects.
+     */
+    async function listProjects() {
+        const projects = await transact(['projects'], 'readonly', ({ projects: store }) => settle(store.getAll()));
+        return projects
+            .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Reads a project.
+     * @param {number} id The project id.
+     * @returns {Promise<object>} The project.
+     */
+    async function getProject(id) {
+        const project = await transact(['projects'], 'readonly', ({ projects: store }) => settle(store.get(id)));
+        if (!project) {
+            throw new Error(`Project ${id} does not exist.`);
+        }
+        return project;
+    }
+
+    /**
+     * Saves a project, as new when it has no id.
+     * @param {object} project
+     * @param {number} [project.id] The id of the project to overwrite.
+     * @param {string} project.name The name shown in the list.
+     * @param {string} project.source The source code.
+     * @param {string} project.method The method id, or 'pipeline'.
+     * @param {object} [project.options] The method's options.
+     * @param {Array<object>} [project.steps] The pipeline steps; their keys are dropped.
+     * @param {string} [project.seed] The seed.
+     * @returns {Promise<number>} The project id.
+     */
+    async function saveProject(project) {
+        if (!project.name || !project.name.trim()) {
+            throw new Error("A project needs a name.");
+        }
+        const now = Date.now();
+        const record = { ...project, name: project.name.trim(), steps: withoutKeys(project.steps), updatedAt: now };
+        if (record.id === undefined || record.id === null) delete record.id;
+        return transact(['projects'], 'readwrite', async ({ projects: store }) => {
+            const existing = record.id === undefined ? null : await settle(store.get(record.id));
+            return settle(store.put({ ...record, createdAt: existing ? existing.createdAt : now }));
+        });
+    }
+
+    /**
+     * Deletes a project with its runs and stored keys.
+     * @param {number} id The project id.
+     * @returns {Promise<void>}
+     */
+    async function deleteProject(id) {
+        await transact(['projects', 'runs', 'keystore'], 'readwrite', async ({ projects, runs, keystore }) => {
+            const runIds = await settle(runs.index('projectId').getAllKeys(id));
+            runIds.forEach((runId) => runs.delete(runId));
+            projects.delete(id);
+            keystore.delete(id);
+        });
+    }
+
+    /**
+     * Adds a run to a project's history, dropping the oldest runs beyond `HISTORY_LIMIT`.
+     * @param {number} projectId The project id.
+     * @param {object} run What was run and what it gave: `method`, `options`, `steps`, `seed`, `input`,
+     *     `output`, `map`, `sourceMap` and `report`. Step keys are dropped.
+     * @returns {Promise<number>} The run id.
+     */
+    async function addRun(projectId, run) {
+        const record = { ...run, steps: withoutKeys(run.steps), projectId, createdAt: Date.now() };
+        return transact(['runs'], 'readwrite', async ({ runs }) => {
+            const id = await settle(runs.add(record));
+            const runIds = await settle(runs.index('projectId').getAllKeys(projectId));
+            runIds.sort((a, b) => a - b).slice(0, Math.max(0, runIds.length - HISTORY_LIMIT)).forEach((runId) => runs.delete(runId));
+            return id;
+        });
+    }
+
+    /**
+     * Lists a project's runs, the newest first.
+     * @param {number} projectId The project id.
+     * @returns {Promise<object[]>} The runs.
+     */
+    async function listRuns(projectId) {
+        const runs = await transact(['runs'], 'readonly', ({ runs: store }) => settle(store.index('projectId').getAll(projectId)));
+        return runs.sort((a, b) => b.id - a.id);
+    }
+
+    /**
+     * Derives the keystore's AES-GCM key from a passphrase.
+     * @param {string} passphrase The passphrase.
+     * @param {Uint8Array} salt The salt.
+     * @param {number} iterations The PBKDF2 iteration count.
+     * @returns {Promise<CryptoKey>} The key.
+     */
+    async function deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Stores a project's keys, encrypted with a passphrase.
+     * @param {number} projectId The project id.
+     * @param {{key?: string, stepKeys?: string[]}} keys The method's key and the pipeline step keys.
+     * @param {string} passphrase The passphrase; it is not stored.
+     * @returns {Promise<void>}
+     */
+    async function saveKeys(projectId, keys, passphrase) {
+        if (!passphrase) {
+            throw new Error("A passphrase is required to store keys.");
+        }
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const aesKey = await deriveKey(passphrase, salt, KEYSTORE_ITERATIONS);
+        const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, aesKey, new TextEncoder().encode(JSON.stringify(keys))));
+        const entry = { projectId, salt, iv, iterations: KEYSTORE_ITERATIONS, data };
+        await transact(['keystore'], 'readwrite', ({ keystore }) => settle(keystore.put(entry)));
+    }
+
+    /**
+     * Tells whether a project has stored keys.
+     * @param {number} projectId The project id.
+     * @returns {Promise<boolean>} Whether it does.
+     */
+    async function hasKeys(projectId) {
+        const count = await transact(['keystore'], 'readonly', ({ keystore }) => settle(keystore.count(projectId)));
+        return count > 0;
+    }
+
+    /**
+     * Decrypts a project's stored keys.
+     * @param {number} projectId The project id.
+     * @param {string} passphrase The passphrase they were stored with.
+     * @returns {Promise<{key?: string, stepKeys?: string[]}>} The keys.
+     */
+    async function loadKeys(projectId, passphrase) {
+        const entry = await transact(['keystore'], 'readonly', ({ keystore }) => settle(keystore.get(projectId)));
+        if (!entry) {
+            throw new Error("This project has no stored keys.");
+        }
+        const aesKey = await deriveKey(passphrase, entry.salt, entry.iterations);
+        let plainText;
+        try {
+            plainText = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: entry.iv }, aesKey, entry.data);
+        } catch (e) {
+            throw new Error("Wrong passphrase, or the stored keys are damaged.");
+        }
+        return JSON.parse(new TextDecoder().decode(plainText));
+    }
+
+    /**
+     * Removes a project's stored keys, if any.
+     * @param {number} projectId The project id.
+     * @returns {Promise<void>}
+     */
+    async function deleteKeys(projectId) {
+        await transact(['keystore'], 'readwrite', ({ keystore }) => settle(keystore.delete(projectId)));
+    }
+
+    return { listProjects, getProject, saveProject, deleteProject, addRun, listRuns, saveKeys, hasKeys, loadKeys, deleteKeys };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = projectStore;
+}
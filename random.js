@@ -0,0 +1,109 @@
+/*
+ * File: random.js
+ * The seeded pseudo-random number generator shared by every method. The same seed always gives
+ * the same sequence, so identical input, options and seed give byte-identical output. Without a
+ * seed, a random one is drawn from `crypto.getRandomValues`.
+ * Not for secrets: keys, salts and IVs come from WebCrypto.
+ */
+const randomSource = (() => {
+    const ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+    /**
+     * Hashes a string into four 32-bit words (cyrb128), the state of the generator.
+     * @param {string} text The seed as text.
+     * @returns {number[]} Four 32-bit unsigned integers.
+     */
+    function hashSeed(text) {
+        let h1 = 1779033703;
+        let h2 = 3144134277;
+        let h3 = 1013904242;
+        let h4 = 2773480762;
+        for (let i = 0; i < text.length; i++) {
+            const k = text.charCodeAt(i);
+            h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+            h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+            h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+            h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+        }
+        h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+        h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+        h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+        h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+        h1 ^= h2 ^ h3 ^ h4;
+        h2 ^= h1;
+        h3 ^= h1;
+        h4 ^= h1;
+        return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+    }
+
+    /**
+     * Tells whether a seed was given (an empty string counts as none).
+     * @param {string|number|undefined} seed The seed.
+     * @returns {boolean} Whether it is set.
+     */
+    function hasSeed(seed) {
+        return seed !== undefined && seed !== null && seed !== '';
+    }
+
+    /**
+     * Creates a generator (sfc32).
+     * @param {string|number} [seed] The seed; without one the sequence is unpredictable.
+     * @returns {function(): number} Returns the next number in [0, 1).
+     */
+    function create(seed) {
+        let [a, b, c, d] = hasSeed(seed)
+            ? hashSeed(String(seed))
+            : Array.from(crypto.getRandomValues(new Uint32Array(4)));
+        return function() {
+            const t = (((a + b) >>> 0) + d) >>> 0;
+            d = (d + 1) >>> 0;
+            a = b ^ (b >>> 9);
+            b = (c + (c << 3)) >>> 0;
+            c = (c << 21) | (c >>> 11);
+            c = (c + t) >>> 0;
+            return t / 4294967296;
+        };
+    }
+
+    /**
+     * The generator a method should use: the one it was handed (a pipeline shares one across its
+     * steps), or a new one from `options.seed`, or from `fallbackSeed` when no seed is set.
+     * @param {{random?: function(): number, seed?: string|number}} options The method's options.
+     * @param {string|number} [fallbackSeed] The seed to use when `options` has none.
+     * @returns {function(): number} The generator.
+     */
+    function forOptions(options, fallbackSeed) {
+        if (options.random) return options.random;
+        return create(hasSeed(options.seed) ? options.seed : fallbackSeed);
+    }
+
+    /**
+     * Derives the seed of one part of a larger job (a page block, a file of a batch), so parts
+     * seeded from one seed still differ from each other.
+     * @param {string|number} [seed] The job's seed.
+     * @param {string|number} label What tells the part apart, e.g. its index or path.
+     * @returns {string|undefined} The part's seed, or undefined when the job has none.
+     */
+    function derive(seed, label) {
+        return hasSeed(seed) ? `${seed}/${label}` : undefined;
+    }
+
+    /**
+     * Draws a string of lowercase letters and digits.
+     * @param {function(): number} random A generator from `create`.
+     * @param {number} length The length.
+     * @returns {string} The string.
+     */
+    function string(random, length) {
+        let text = '';
+        for (let i = 0; i < length; i++) text += ALPHABET[Math.floor(random() * ALPHABET.length)];
+        return text;
+    }
+
+    return { create, forOptions, hasSeed, derive, string };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = randomSource;
+}
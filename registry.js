@@ -0,0 +1,155 @@
+/*
+ * File: registry.js
+ * The method registry. Every obfuscation method registers itself here with its capabilities and
+ * an options schema; the UI, the pipeline and the Node library all look methods up here.
+ * Third-party methods only need to be loaded after this file and call `registerMethod`.
+ */
+const methodRegistry = (() => {
+    const methods = new Map();
+    const listeners = [];
+    const OPTION_TYPES = ['select', 'checkbox', 'text', 'number'];
+
+    /**
+     * @typedef {object} MethodOption
+     * @property {string} name The key in the options object passed to `encode`.
+     * @property {string} label The label shown in the UI.
+     * @property {'select'|'checkbox'|'text'|'number'} type The kind of control.
+     * @property {Array<{value: string, label: string}>} [choices] The choices of a 'select'.
+     * @property {*} [default] The value used when none is chosen.
+     */
+
+    /**
+     * @typedef {object} MethodDefinition
+     * @property {string} id A unique id, e.g. 'lana-vortex'.
+     * @property {string} label The name shown in the method dropdown.
+     * @property {{encode: Function, decode?: Function}} handler `encode(code, key, options)` and `decode(code, keyOrMap, options)`, sync or async.
+     *     Both may call `options.onProgress(fraction)` (0 to 1) during long work; the UI shows it as a progress bar.
+     *     `encode` should draw any randomness from `randomSource.forOptions(options)` (random.js), so `options.seed` makes its output reproducible.
+     *     A map that `decode` reads back should be built with `mapContainer.wrap` and read with `mapContainer.unwrap` (container.js);
+     *     `decode` should skip the check of the code against the map when `options.checkCode` is false.
+     *     `encode` may return `stats` for the report (report.js): `{transformed, skipped}` count what it changed and what it left alone
+     *     (by label, e.g. `{bindings: 12}` and `{exports: 2}`), and `wrapper: {mode?, runs}` marks output that decodes itself at load time.
+     * @property {number} [version] The version of the method's map data; raise it when older releases could not read new maps.
+     * @property {boolean} [requiresKey] Whether the method needs a secret key.
+     * @property {boolean} [canDeobfuscate] Whether `decode` is available.
+     * @property {boolean} [deobfuscateRequiresMap] Whether `decode` takes the map instead of the key.
+     * @property {boolean} [reversible] Whether `decode` restores the code, rather than only revealing parts of it.
+     * @property {MethodOption[]} [options] The options schema.
+     */
+
+    /**
+     * Checks an options schema, so a broken one fails at registration rather than when the UI builds
+     * its controls.
+     * @param {string} id The method id, for the error messages.
+     * @param {*} options The schema.
+     */
+    function checkOptions(id, options) {
+        if (!Array.isArray(options)) {
+            throw new Error(`Method "${id}" needs its options as an array.`);
+        }
+        const seen = new Set();
+        options.forEach((option, index) => {
+            if (!option || typeof option.name !== 'string' || !option.name) {
+                throw new Error(`Option ${index} of method "${id}" needs a string name.`);
+            }
+            if (seen.has(option.name)) {
+                throw new Error(`Method "${id}" declares option "${option.name}" twice.`);
+            }
+            seen.add(option.name);
+            if (!OPTION_TYPES.includes(option.type)) {
+                throw new Error(`Option "${option.name}" of method "${id}" has type "${option.type}"; use one of: ${OPTION_TYPES.join(', ')}.`);
+            }
+            if (option.type !== 'select') return;
+            const valid = Array.isArray(option.choices) && option.choices.length > 0
+                && option.choices.every((choice) => choice && typeof choice.value === 'string');
+            if (!valid) {
+                throw new Error(`Option "${option.name}" of method "${id}" needs choices, each with a string value.`);
+            }
+            if (option.default !== undefined && !option.choices.some((choice) => choice.value === option.default)) {
+                throw new Error(`The default "${option.default}" of option "${option.name}" of method "${id}" is not one of its choices.`);
+            }
+        });
+    }
+
+    /**
+     * Registers a method.
+     * @param {MethodDefinition} definition The method definition.
+     * @returns {MethodDefinition} The registered method, with defaults filled in.
+     */
+    function registerMethod(definition) {
+        if (!definition || typeof definition.id !== 'string' || !definition.id) {
+            throw new Error("A method needs a string id.");
+        }
+        if (methods.has(definition.id)) {
+            throw new Error(`Method "${definition.id}" is already registered.`);
+        }
+        if (!definition.handler || typeof definition.handler.encode !== 'function') {
+            throw new Error(`Method "${definition.id}" needs a handler with an encode function.`);
+        }
+        if (definition.canDeobfuscate && typeof definition.handler.decode !== 'function') {
+            throw new Error(`Method "${definition.id}" can deobfuscate but has no decode function.`);
+        }
+        if (definition.options !== undefined) checkOptions(definition.id, definition.options);
+
+        const method = {
+            label: definition.id,
+            requiresKey: false,
+            canDeobfuscate: false,
+            deobfuscateRequiresMap: false,
+            reversible: false,
+            version: 1,
+            ...definition,
+            options: definition.options || []
+        };
+        methods.set(method.id, method);
+        listeners.forEach((listener) => listener(method));
+        return method;
+    }
+
+    /**
+     * Looks up a registered method.
+     * @param {string} id The method id.
+     * @returns {MethodDefinition} The method.
+     */
+    function getMethod(id) {
+        const method = methods.get(id);
+        if (!method) {
+            throw new Error(`Unknown method "${id}".`);
+        }
+        return method;
+    }
+
+    /**
+     * Lists the registered methods in registration order.
+     * @returns {MethodDefinition[]} The methods.
+     */
+    function listMethods() {
+        return Array.from(methods.values());
+    }
+
+    /**
+     * Builds the options object a method uses when nothing has been chosen.
+     * @param {string} id The method id.
+     * @returns {object} The default options.
+     */
+    function defaultOptions(id) {
+        return Object.fromEntries(getMethod(id).options
+            .filter((option) => option.default !== undefined)
+            .map((option) => [option.name, option.default]));
+    }
+
+    /**
+     * Calls the listener for every method registered from now on (e.g. to refresh the UI).
+     * @param {function(MethodDefinition): void} listener The listener.
+     */
+    function onRegister(listener) {
+        listeners.push(listener);
+    }
+
+    return { registerMethod, getMethod, listMethods, defaultOptions, onRegister };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = methodRegistry;
+}
@@ -0,0 +1,290 @@
+/*
+ * File: report.js
+ * The obfuscation report: input and output sizes (plain and gzipped), their byte entropy, what each
+ * method transformed and skipped (from the `stats` its `encode` returns), and, for output that decodes
+ * itself at load time (Lana-Vortex), an estimate of what that costs on every load. Reports are plain
+ * objects and can be exported as JSON.
+ */
+const obfuscationReport = (() => {
+    // Browser global, or its Node module when loaded with require().
+    const registry = typeof methodRegistry !== 'undefined' ? methodRegistry : require('./registry.js');
+
+    const FORMAT = 'surxrat-report';
+    const VERSION = 1;
+
+    /**
+     * Measures text as UTF-8.
+     * @param {string} text The text.
+     * @returns {number} Its size in bytes.
+     */
+    function byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    /**
+     * Measures text once gzipped, the way a server would usually send it.
+     * @param {string} text The text.
+     * @returns {Promise<number|null>} The gzipped size in bytes, or null where `CompressionStream` is not available.
+     */
+    async function gzipSize(text) {
+        if (typeof CompressionStream === 'undefined') return null;
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return (await new Response(stream).arrayBuffer()).byteLength;
+    }
+
+    /**
+     * The Shannon entropy of the text's UTF-8 bytes: near 8 for encrypted or compressed data, around
+     * 4.5 to 5.5 for ordinary source code.
+     * @param {string} text The text.
+     * @returns {number} Bits per byte, to three decimals.
+     */
+    function entropy(text) {
+        const bytes = new TextEncoder().encode(text);
+        if (bytes.length === 0) return 0;
+        const counts = new Array(256).fill(0);
+        bytes.forEach((byte) => { counts[byte]++; });
+        const bits = counts.reduce((sum, count) => {
+            if (count === 0) return sum;
+            const p = count / bytes.length;
+            return sum - p * Math.log2(p);
+        }, 0);
+        return Math.round(bits * 1000) / 1000;
+    }
+
+    /**
+     * Describes one side of the transformation.
+     * @param {string} text The code.
+     * @returns {Promise<{bytes: number, gzipBytes: number|null, entropy: number}>} Its sizes and entropy.
+     */
+    async function measure(text) {
+        return { bytes: byteLength(text), gzipBytes: await gzipSize(text), entropy: entropy(text) };
+    }
+
+    /**
+     * Adds one count table into another.
+     * @param {Object<string, number>} target The totals.
+     * @param {Object<string, number>} [counts] The counts to add.
+     */
+    function addCounts(target, counts = {}) {
+        Object.entries(counts).forEach(([label, count]) => { target[label] = (target[label] || 0) + count; });
+    }
+
+    /**
+     * Normalises the stats of a run into one entry per step, in order. A single method returns one
+     * stats object; the pipeline and HTML mode return a list already tagged with each step's method.
+     * @param {string} method The method id (or 'pipeline').
+     * @param {object|object[]} [stats] The `stats` from the method's output.
+     * @returns {Array<{method: string, transformed?: object, skipped?: object, wrapper?: object}>} The steps.
+     */
+    function listSteps(method, stats) {
+        if (!stats) return [];
+        return Array.isArray(stats) ? stats : [{ method, ...stats }];
+    }
+
+    /**
+     * Adds up the counts of every step by method, in the order the methods first ran.
+     * @param {Array<{method: string, transformed?: object, skipped?: object}>} steps The steps.
+     * @returns {Array<{method: string, transformed: Object<string, number>, skipped: Object<string, number>}>} One entry per method.
+     */
+    function byMethod(steps) {
+        const entries = new Map();
+        for (const step of steps) {
+            if (!entries.has(step.method)) entries.set(step.method, { method: step.method, transformed: {}, skipped: {} });
+            const entry = entries.get(step.method);
+            addCounts(entry.transformed, step.transformed);
+            addCounts(entry.skipped, step.skipped);
+        }
+        return [...entries.values()];
+    }
+
+    /**
+     * Times a function.
+     * @param {function(): *} fn The function; it may return a promise.
+     * @returns {Promise<number>} The time it took, in milliseconds.
+     */
+    async function time(fn) {
+        const start = performance.now();
+        await fn();
+        return performance.now() - start;
+    }
+
+    /**
+     * Estimates what a self-decoding wrapper adds to every load: the time to parse the wrapper with its
+     * payload, and the time to decode the payload before it is handed to `new Function` (which then
+     * parses the original code, as loading it directly would have). Decoding runs the method's own
+     * `decode`, so it only works when the last step is the wrapper.
+     * @param {{method: string, wrapper: object}} step The last step's stats.
+     * @param {string} output The obfuscated code.
+     * @param {string} [key] The key or passphrase of that step.
+     * @returns {Promise<{method: string, mode?: string, runs: string, parseMs: number|null, decodeMs: number|null, note?: string}>} The estimate.
+     */
+    async function estimateOverhead(step, output, key) {
+        const overhead = { method: step.method, ...step.wrapper, parseMs: null, decodeMs: null };
+        try {
+            overhead.parseMs = round(await time(() => new Function(output))); // Compiled only, never run
+        } catch (e) {
+            overhead.note = `The output could not be compiled: ${e.message}`;
+            return overhead;
+        }
+        const { handler } = registry.getMethod(step.method);
+        if (typeof handler.decode !== 'function' || !key) {
+            overhead.note = "The decode time needs the key used to obfuscate.";
+            return overhead;
+        }
+        try {
+            overhead.decodeMs = round(await time(() => handler.decode(output, key, { checkCode: false })));
+        } catch (e) {
+            overhead.note = `The payload could not be decoded: ${e.message}`;
+        }
+        return overhead;
+    }
+
+    /**
+     * Rounds a duration for display.
+     * @param {number} ms The duration.
+     * @returns {number} The duration to a hundredth of a millisecond.
+     */
+    function round(ms) {
+        return Math.round(ms * 100) / 100;
+    }
+
+    /**
+     * Builds the report of one run.
+     * @param {object} run
+     * @param {string} run.method The method id (or 'pipeline').
+     * @param {string} run.input The code that was obfuscated.
+     * @param {string} run.output The obfuscated code.
+     * @param {object|object[]} [run.stats] The `stats` from the method's output.
+     * @param {number} [run.durationMs] How long the run took.
+     * @param {string} [run.key] The key of the last step, used to time its decoding.
+     * @param {boolean} [run.overhead=true] Whether to estimate the load-time overhead of a self-decoding wrapper.
+     * @returns {Promise<object>} The report.
+     */
+    async function build({ method, input, output, stats, durationMs, key, overhead = true }) {
+        const steps = listSteps(method, stats);
+        const last = steps[steps.length - 1];
+        const report = {
+            format: FORMAT,
+            version: VERSION,
+            method,
+            input: await measure(input),
+            output: await measure(output),
+            durationMs: durationMs === undefined ? null : round(durationMs),
+            methods: byMethod(steps),
+            overhead: null
+        };
+        if (overhead && last && last.wrapper) {
+            report.overhead = await estimateOverhead(last, output, key);
+        }
+        return report;
+    }
+
+    /**
+     * Combines the reports of several files (batch mode, the CLI) into one.
+     * @param {string} method The method id (or 'pipeline').
+     * @param {Object<string, object>} reports The report of every file, by path.
+     * @returns {object} The combined report: size totals, counts by method and the file reports.
+     */
+    function combine(method, reports) {
+        const files = Object.values(reports);
+        const total = (side, field) => files.some((report) => report[side][field] === null)
+            ? null
+            : files.reduce((sum, report) => sum + report[side][field], 0);
+        const steps = files.flatMap((report) => report.methods);
+        const timed = files.filter((report) => report.durationMs !== null);
+        return {
+            format: FORMAT,
+            version: VERSION,
+            method,
+            input: { bytes: total('input', 'bytes'), gzipBytes: total('input', 'gzipBytes') },
+            output: { bytes: total('output', 'bytes'), gzipBytes: total('output', 'gzipBytes') },
+            durationMs: timed.length ? round(timed.reduce((sum, report) => sum + report.durationMs, 0)) : null,
+            methods: byMethod(steps),
+            files: reports
+        };
+    }
+
+    /**
+     * Describes a size and how it compares with the input.
+     * @param {number} bytes The size.
+     * @param {number} inputBytes The input's size.
+     * @returns {string} E.g. "1,024 bytes (+35.2%)".
+     */
+    function formatSize(bytes, inputBytes) {
+        const text = `${bytes.toLocaleString('en-US')} bytes`;
+        if (inputBytes === undefined || !inputBytes) return text;
+        const change = ((bytes - inputBytes) / inputBytes) * 100;
+        return `${text} (${change >= 0 ? '+' : ''}${change.toFixed(1)}%)`;
+    }
+
+    /**
+     * Describes one side of the transformation.
+     * @param {string} label 'Input' or 'Output'.
+     * @param {{bytes: number, gzipBytes: number|null, entropy?: number}} side The measurements.
+     * @param {{bytes: number, gzipBytes: number|null}} [input] The input's, to compare with.
+     * @returns {string} One line.
+     */
+    function formatSide(label, side, input) {
+        const parts = [formatSize(side.bytes, input && input.bytes)];
+        if (side.gzipBytes !== null) parts.push(`gzip ${formatSize(side.gzipBytes, input && input.gzipBytes)}`);
+        if (side.entropy !== undefined) parts.push(`entropy ${side.entropy.toFixed(2)} bits/byte`);
+        return `${label}: ${parts.join(', ')}`;
+    }
+
+    /**
+     * Lists counts as text.
+     * @param {Object<string, number>} counts The counts by label.
+     * @returns {string} E.g. "bindings 12, private properties 3", or "nothing".
+     */
+    function formatCounts(counts) {
+        const entries = Object.entries(counts).filter(([, count]) => count > 0);
+        return entries.length ? entries.map(([label, count]) => `${label} ${count.toLocaleString('en-US')}`).join(', ') : 'nothing';
+    }
+
+    /**
+     * Counts the files of a combined report.
+     * @param {Object<string, object>} files The file reports.
+     * @returns {string} E.g. "1 file" or "3 files".
+     */
+    function fileCount(files) {
+        const count = Object.keys(files).length;
+        return `${count} file${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Writes a report as text for the UI and the terminal.
+     * @param {object} report A report from `build` or `combine`.
+     * @returns {string} The text.
+     */
+    function format(report) {
+        const lines = [
+            `Method: ${report.method}${report.files ? ` (${fileCount(report.files)})` : ''}`,
+            formatSide('Input', report.input),
+            formatSide('Output', report.output, report.input)
+        ];
+        if (report.durationMs !== null) lines.push(`Time: ${report.durationMs} ms`);
+        for (const entry of report.methods) {
+            const skipped = Object.values(entry.skipped).some((count) => count > 0) ? `; kept: ${formatCounts(entry.skipped)}` : '';
+            lines.push(`${entry.method} transformed: ${formatCounts(entry.transformed)}${skipped}`);
+        }
+        const { overhead } = report;
+        if (overhead) {
+            const mode = overhead.mode ? ` (${overhead.mode})` : '';
+            const costs = [];
+            if (overhead.parseMs !== null) costs.push(`${overhead.parseMs} ms to parse the wrapper`);
+            if (overhead.decodeMs !== null) costs.push(`${overhead.decodeMs} ms to decode the payload`);
+            if (costs.length) {
+                lines.push(`Load overhead of the ${overhead.method}${mode} wrapper, estimated on this machine: ${costs.join(' and ')}, before the code runs through ${overhead.runs}.`);
+            }
+            if (overhead.note) lines.push(`Load overhead: ${overhead.note}`);
+        }
+        return lines.join('\n');
+    }
+
+    return { FORMAT, VERSION, byteLength, gzipSize, entropy, build, combine, format };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = obfuscationReport;
+}
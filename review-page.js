@@ -0,0 +1,292 @@
+/*
+ * File: review-page.js
+ * Controller of the profile page (Index.html): the live clock, the review form with its rating
+ * slider, the rating statistics, the sorted and paged list of reviews, and the moderation queue
+ * (shown with #moderasi). Reviews go to the server named by the body's `data-review-api` attribute
+ * (e.g. review-server.mjs), which applies the abuse controls itself; without one they stay in this
+ * browser's localStorage, behind the same controls.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    // --- Element References ---
+    const get = (id) => document.getElementById(id);
+    const liveClock = get('live-clock');
+    const averageRating = get('average-rating');
+    const reviewCount = get('review-count');
+    const ratingHistogram = get('rating-histogram');
+    const ratingTrend = get('rating-trend');
+    const reviewForm = get('review-form');
+    const reviewText = get('review-text');
+    const ratingSlider = get('rating-slider');
+    const ratingValue = get('rating-value');
+    const submitButton = get('submit-button');
+    const reviewsSort = get('reviews-sort');
+    const reviewsList = get('reviews-list');
+    const reviewsPrev = get('reviews-prev');
+    const reviewsPage = get('reviews-page');
+    const reviewsNext = get('reviews-next');
+    const moderationPanel = get('moderation-panel');
+    const moderatorToken = get('moderator-token');
+    const moderationFilter = get('moderation-filter');
+    const moderationRefresh = get('moderation-refresh');
+    const moderationList = get('moderation-list');
+    const messageModal = get('message-modal');
+    const modalText = get('modal-text');
+
+    /**
+     * Picks where reviews are kept: the configured server, else localStorage, else memory (when
+     * localStorage is blocked, reviews then last until reload). Without a server the abuse controls
+     * run here, which keeps honest visitors in check but cannot stop a determined one.
+     * @returns {object} The storage adapter (see `ReviewStorage` in reviews.js).
+     */
+    function createStorage() {
+        const api = document.body.dataset.reviewApi;
+        if (api) return reviewStore.createRestStorage(api, { token: () => moderatorToken.value.trim() });
+        let storage;
+        try {
+            storage = reviewStore.createLocalStorage(window.localStorage);
+        } catch (e) {
+            storage = reviewStore.createMemoryStorage();
+        }
+        return reviewStore.createModeratedStorage(storage);
+    }
+
+    const storage = createStorage();
+    let publicReviews = [];
+    let currentPage = 1;
+
+    function showMessage(message) {
+        modalText.textContent = message;
+        messageModal.classList.remove('hidden');
+    }
+
+    function updateClock() {
+        const now = new Date();
+        liveClock.textContent = [now.getHours(), now.getMinutes(), now.getSeconds()]
+            .map((part) => String(part).padStart(2, '0'))
+            .join(':');
+    }
+
+    /**
+     * Builds the card of one review. The text is set as text, never as HTML.
+     * @param {object} review The review.
+     * @returns {HTMLElement} The card.
+     */
+    function createReviewCard(review) {
+        const card = document.createElement('div');
+        card.className = 'bg-black/20 rounded-lg p-3';
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between text-sm text-gray-300 mb-1';
+        const rating = document.createElement('span');
+        rating.className = 'font-bold text-cyan-400';
+        rating.textContent = `${review.rating} / ${reviewStore.MAX_RATING}`;
+        const date = document.createElement('span');
+        date.textContent = new Date(review.createdAt).toLocaleString('id-ID');
+        header.append(rating, date);
+        const text = document.createElement('p');
+        text.className = 'break-words';
+        text.textContent = review.text;
+        card.append(header, text);
+        return card;
+    }
+
+    /**
+     * Shows a note in place of a list.
+     * @param {HTMLElement} list The list.
+     * @param {string} message The note.
+     */
+    function showListMessage(list, message) {
+        list.innerHTML = '';
+        const note = document.createElement('p');
+        note.className = 'text-center text-gray-400';
+        note.textContent = message;
+        list.appendChild(note);
+    }
+
+    /**
+     * Draws the rating bands as horizontal bars.
+     * @param {object[]} reviews The public reviews.
+     */
+    function renderHistogram(reviews) {
+        const bands = reviewStore.histogram(reviews);
+        const highest = Math.max(1, ...bands.map((band) => band.count));
+        ratingHistogram.innerHTML = '';
+        bands.slice().reverse().forEach(({ from, to, count }) => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-2';
+            const label = document.createElement('span');
+            label.className = 'w-12 text-right';
+            label.textContent = `${from}–${to}`;
+            const track = document.createElement('div');
+            track.className = 'flex-grow h-2 bg-white/10 rounded';
+            const bar = document.createElement('div');
+            bar.className = 'h-2 bg-cyan-400 rounded';
+            bar.style.width = `${(count / highest) * 100}%`;
+            track.appendChild(bar);
+            const total = document.createElement('span');
+            total.className = 'w-6 text-left';
+            total.textContent = String(count);
+            row.append(label, track, total);
+            ratingHistogram.appendChild(row);
+        });
+    }
+
+    /**
+     * Draws the average rating of each of the last 30 days as a bar; days without reviews stay flat.
+     * @param {object[]} reviews The public reviews.
+     */
+    function renderTrend(reviews) {
+        ratingTrend.innerHTML = '';
+        reviewStore.trend(reviews).forEach(({ date, count, average }) => {
+            const bar = document.createElement('div');
+            bar.className = count ? 'flex-1 bg-cyan-400 rounded-sm' : 'flex-1 bg-white/10 rounded-sm';
+            bar.style.height = count ? `${(average / reviewStore.MAX_RATING) * 100}%` : '2px';
+            bar.title = count ? `${date}: rata-rata ${average} dari ${count} ulasan` : `${date}: tidak ada ulasan`;
+            ratingTrend.appendChild(bar);
+        });
+    }
+
+    /**
+     * Shows the current page of the public reviews in the chosen order.
+     */
+    function renderList() {
+        const { items, page, pageCount } = reviewStore.paginate(reviewStore.sortReviews(publicReviews, reviewsSort.value), currentPage);
+        currentPage = page;
+        reviewsPage.textContent = `${page} / ${pageCount}`;
+        reviewsPrev.disabled = page <= 1;
+        reviewsNext.disabled = page >= pageCount;
+        if (items.length === 0) {
+            showListMessage(reviewsList, 'Belum ada ulasan. Jadilah yang pertama!');
+            return;
+        }
+        reviewsList.innerHTML = '';
+        items.forEach((review) => reviewsList.appendChild(createReviewCard(review)));
+        reviewsList.scrollTop = 0;
+    }
+
+    async function loadReviews() {
+        try {
+            publicReviews = await storage.list({ status: 'approved' });
+        } catch (e) {
+            showListMessage(reviewsList, `Gagal memuat ulasan: ${e.message}`);
+            return;
+        }
+        const { count, average } = reviewStore.summarize(publicReviews);
+        averageRating.textContent = String(average);
+        reviewCount.textContent = `Berdasarkan ${count} ulasan`;
+        renderHistogram(publicReviews);
+        renderTrend(publicReviews);
+        renderList();
+    }
+
+    /**
+     * Shows the moderation queue for the chosen status, each review with the actions that apply to it.
+     */
+    async function loadModeration() {
+        let reviews;
+        try {
+            reviews = await storage.list({ status: moderationFilter.value });
+        } catch (e) {
+            showListMessage(moderationList, `Gagal memuat antrean: ${e.message}`);
+            return;
+        }
+        if (reviews.length === 0) {
+            showListMessage(moderationList, 'Tidak ada ulasan di sini.');
+            return;
+        }
+        moderationList.innerHTML = '';
+        reviewStore.sortReviews(reviews).forEach((review) => {
+            const card = createReviewCard(review);
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-2 mt-2 text-sm';
+            [['approved', 'Setujui', 'bg-green-500/80 hover:bg-green-600/80'], ['hidden', 'Sembunyikan', 'bg-red-500/80 hover:bg-red-600/80']]
+                .filter(([status]) => status !== review.status)
+                .forEach(([status, label, colors]) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = `px-3 py-1 rounded-lg ${colors}`;
+                    button.textContent = label;
+                    button.addEventListener('click', () => moderate(review.id, status));
+                    actions.appendChild(button);
+                });
+            card.appendChild(actions);
+            moderationList.appendChild(card);
+        });
+    }
+
+    /**
+     * Approves or hides a review, then refreshes the queue and the public list.
+     * @param {string} id The review id.
+     * @param {'approved'|'hidden'} status The new status.
+     */
+    async function moderate(id, status) {
+        try {
+            await storage.update(id, { status });
+        } catch (e) {
+            showMessage(`Gagal memoderasi ulasan: ${e.message}`);
+            return;
+        }
+        await Promise.all([loadModeration(), loadReviews()]);
+    }
+
+    function updateModerationPanel() {
+        const open = window.location.hash === '#moderasi';
+        moderationPanel.classList.toggle('hidden', !open);
+        if (open) loadModeration();
+    }
+
+    // --- Event Listeners ---
+    ratingSlider.addEventListener('input', () => {
+        ratingValue.textContent = ratingSlider.value;
+    });
+
+    reviewForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        let input;
+        try {
+            input = reviewStore.validate({ text: reviewText.value, rating: ratingSlider.value });
+        } catch (error) {
+            showMessage(reviewText.value.trim() ? `Ulasan tidak valid: ${error.message}` : 'Ulasan tidak boleh kosong.');
+            return;
+        }
+        submitButton.disabled = true;
+        try {
+            const review = await storage.add(input);
+            reviewText.value = '';
+            showMessage(review.status === 'pending'
+                ? 'Terima kasih! Ulasan Anda akan tampil setelah ditinjau moderator.'
+                : 'Terima kasih! Ulasan Anda telah dikirim.');
+            currentPage = 1;
+            await loadReviews();
+        } catch (error) {
+            showMessage(`Gagal mengirim ulasan: ${error.message}`);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    reviewsSort.addEventListener('change', () => {
+        currentPage = 1;
+        renderList();
+    });
+
+    reviewsPrev.addEventListener('click', () => {
+        currentPage--;
+        renderList();
+    });
+
+    reviewsNext.addEventListener('click', () => {
+        currentPage++;
+        renderList();
+    });
+
+    moderationFilter.addEventListener('change', loadModeration);
+    moderationRefresh.addEventListener('click', loadModeration);
+    window.addEventListener('hashchange', updateModerationPanel);
+
+    // --- Initial State ---
+    ratingValue.textContent = ratingSlider.value;
+    updateClock();
+    setInterval(updateClock, 1000);
+    loadReviews();
+    updateModerationPanel();
+});
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/*
+ * File: review-server.mjs
+ * A small local stand-in for the review database of the profile page (Index.html). It serves the
+ * page and its scripts, and the reviews under `/api/reviews`: `GET` lists the approved ones, `POST`
+ * with `{text, rating}` as JSON adds one (rate-limited per client address, and held for moderation
+ * when it uses a blocked word). With `--moderator-token`, `GET ?status=pending|hidden` and
+ * `PATCH /api/reviews/<id>` with `{status}` moderate them, given `Authorization: Bearer <token>`.
+ * Reviews are kept in memory, and in a JSON file with `--data`.
+ * Point the page at it with `data-review-api="http://localhost:8787/api/reviews"` (the page is
+ * served from the same origin, so opening http://localhost:8787/ works too).
+ */
+import http from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import reviewStore from './reviews.js';
+
+const USAGE = `Usage: node review-server.mjs [options]
+
+Options:
+      --port <port>     Port to listen on (default: 8787)
+      --host <host>     Address to listen on (default: 127.0.0.1)
+      --data <file>     Keep the reviews in this JSON file (default: in memory only)
+      --moderator-token <token>
+                        Enable moderation for requests carrying this token
+                        (default: $REVIEW_MODERATOR_TOKEN; without one, moderation is off)
+      --moderate-all    Hold every new review until a moderator approves it
+      --rate-limit <n>  Reviews one client may post per window (default: 3)
+      --rate-window <seconds>
+                        Length of the rate-limit window (default: 600)
+  -h, --help            Show this help`;
+
+const API_PATH = '/api/reviews';
+const MAX_BODY_BYTES = 16 * 1024;
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+// Only the page and its scripts are served, never the rest of the repository.
+const STATIC_FILES = {
+    '/': ['Index.html', 'text/html; charset=utf-8'],
+    '/Index.html': ['Index.html', 'text/html; charset=utf-8'],
+    '/reviews.js': ['reviews.js', 'text/javascript; charset=utf-8'],
+    '/review-page.js': ['review-page.js', 'text/javascript; charset=utf-8']
+};
+
+/**
+ * Sends a JSON response. Any origin may call the API, so the page also works from file://.
+ * @param {http.ServerResponse} response The response.
+ * @param {number} status The HTTP status.
+ * @param {*} [body] The body; none for 204.
+ * @param {Object<string, string>} [headers] Extra headers.
+ */
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization',
+        ...headers
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Reads a request body as JSON.
+ * @param {http.IncomingMessage} request The request.
+ * @returns {Promise<*>} The parsed body.
+ */
+async function readJson(request) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw Object.assign(new Error(`The request body is larger than ${MAX_BODY_BYTES} bytes.`), { status: 413 });
+        }
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+        throw Object.assign(new Error(`The request body is not valid JSON: ${e.message}`), { status: 400 });
+    }
+}
+
+/**
+ * Loads the reviews kept in the data file.
+ * @param {string} [file] The data file; a missing file starts an empty list.
+ * @returns {Promise<object[]>} The reviews.
+ */
+async function loadReviews(file) {
+    if (!file) return [];
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+    const reviews = JSON.parse(text);
+    if (!Array.isArray(reviews)) {
+        throw new Error(`${file} must hold a JSON array of reviews.`);
+    }
+    return reviews;
+}
+
+/**
+ * Checks that a request carries the moderator token.
+ * @param {http.IncomingMessage} request The request.
+ * @param {string} [token] The moderator token; moderation is off without one.
+ */
+function requireModerator(request, token) {
+    if (!token) {
+        throw Object.assign(new Error("Moderation is off: start the server with --moderator-token."), { status: 403 });
+    }
+    const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    // Compared as hashes, so neither the content nor the length of the token leaks through timing.
+    const digest = (value) => createHash('sha256').update(value).digest();
+    if (!match || !timingSafeEqual(digest(match[1]), digest(token))) {
+        throw Object.assign(new Error("A valid moderator token is required."), { status: 401 });
+    }
+}
+
+/**
+ * Creates the request handler.
+ * @param {object} storage The storage adapter, wrapped by `createModeratedStorage` (see reviews.js).
+ * @param {function(): Promise<void>} persist Saves the reviews after a change.
+ * @param {string} [moderatorToken] The token moderation requests must carry.
+ * @returns {function(http.IncomingMessage, http.ServerResponse): Promise<void>} The handler.
+ */
+function createHandler(storage, persist, moderatorToken) {
+    const statusCodes = { 'rate-limited': 429, duplicate: 409, 'not-found': 404 };
+    return async (request, response) => {
+        const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+        try {
+            if (pathname === API_PATH) {
+                if (request.method === 'OPTIONS') {
+                    sendJson(response, 204);
+                } else if (request.method === 'GET') {
+                    const status = searchParams.get('status') || 'approved';
+                    if (status !== 'approved') requireModerator(request, moderatorToken);
+                    let reviews;
+                    try {
+                        reviews = await storage.list({ status });
+                    } catch (e) {
+                        throw Object.assign(e, { status: 400 });
+                    }
+                    sendJson(response, 200, reviews);
+                } else if (request.method === 'POST') {
+                    const body = await readJson(request);
+                    let review;
+                    try {
+                        review = await storage.add(body, { clientId: request.socket.remoteAddress });
+                    } catch (e) {
+                        if (e.code === 'rate-limited') {
+                            sendJson(response, 429, { error: e.message }, { 'Retry-After': String(Math.ceil(e.retryAfterMs / 1000)) });
+                            return;
+                        }
+                        throw Object.assign(e, { status: statusCodes[e.code] || 400 });
+                    }
+                    await persist();
+                    sendJson(response, 201, review);
+                } else {
+                    sendJson(response, 405, { error: `${request.method} is not supported on ${API_PATH}.` });
+                }
+                return;
+            }
+            if (pathname.startsWith(`${API_PATH}/`)) {
+                if (request.method === 'OPTIONS') {
+                    sendJson(response, 204);
+                } else if (request.method === 'PATCH') {
+                    requireModerator(request, moderatorToken);
+                    const body = await readJson(request);
+                    let review;
+                    try {
+                        // A malformed escape (`%E0%A4%A`) cannot name a review, so it is answered like an unknown id.
+                        let id;
+                        try {
+                            id = decodeURIComponent(pathname.slice(API_PATH.length + 1));
+                        } catch (e) {
+                            throw Object.assign(new Error(`There is no review "${pathname.slice(API_PATH.length + 1)}".`), { code: 'not-found' });
+                        }
+                        review = await storage.update(id, body || {});
+                    } catch (e) {
+                        throw Object.assign(e, { status: statusCodes[e.code] || 400 });
+                    }
+                    await persist();
+                    sendJson(response, 200, review);
+                } else {
+                    sendJson(response, 405, { error: `${request.method} is not supported on ${pathname}.` });
+                }
+                return;
+            }
+            const entry = request.method === 'GET' && STATIC_FILES[pathname];
+            if (!entry) {
+                sendJson(response, 404, { error: `Nothing at ${pathname}.` });
+                return;
+            }
+            const [file, type] = entry;
+            response.writeHead(200, { 'Content-Type': type });
+            response.end(await readFile(path.join(ROOT, file)));
+        } catch (e) {
+            const status = e.status || 500;
+            if (status === 500) console.error(e);
+            sendJson(response, status, { error: e.message });
+        }
+    };
+}
+
+/**
+ * Starts the server.
+ * @param {object} [options]
+ * @param {number} [options.port] The port to listen on.
+ * @param {string} [options.host] The address to listen on.
+ * @param {string} [options.data] The data file.
+ * @param {string} [options.moderatorToken] The token moderation requests must carry; moderation is off without one.
+ * @param {boolean} [options.moderateAll] Hold every new review for moderation.
+ * @param {number} [options.rateLimit] Reviews one client may post per window.
+ * @param {number} [options.rateWindowMs] The length of the rate-limit window.
+ * @returns {Promise<http.Server>} The listening server.
+ */
+export async function startServer({ port = 8787, host = '127.0.0.1', data, moderatorToken, moderateAll = false, rateLimit = 3, rateWindowMs = 10 * 60 * 1000 } = {}) {
+    const storage = reviewStore.createModeratedStorage(reviewStore.createMemoryStorage(await loadReviews(data)), {
+        rateLimiter: reviewStore.createRateLimiter({ limit: rateLimit, windowMs: rateWindowMs }),
+        moderateAll
+    });
+    // Writes are chained, so two reviews posted together cannot interleave their saves.
+    let saving = Promise.resolve();
+    const persist = () => {
+        if (!data) return Promise.resolve();
+        saving = saving.then(async () => writeFile(data, JSON.stringify(await storage.list(), null, 2) + '\n'));
+        return saving;
+    };
+    const server = http.createServer(createHandler(storage, persist, moderatorToken));
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    return server;
+}
+
+async function main() {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                port: { type: 'string', default: '8787' },
+                host: { type: 'string', default: '127.0.0.1' },
+                data: { type: 'string' },
+                'moderator-token': { type: 'string' },
+                'moderate-all': { type: 'boolean', default: false },
+                'rate-limit': { type: 'string', default: '3' },
+                'rate-window': { type: 'string', default: '600' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error(`Invalid port "${values.port}".`);
+        return 2;
+    }
+    const rateLimit = Number(values['rate-limit']);
+    const rateWindow = Number(values['rate-window']);
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || !(rateWindow > 0)) {
+        console.error(`Invalid rate limit "${values['rate-limit']}" per "${values['rate-window']}" seconds.`);
+        return 2;
+    }
+    const moderatorToken = values['moderator-token'] || process.env.REVIEW_MODERATOR_TOKEN;
+    try {
+        const server = await startServer({
+            port,
+            host: values.host,
+            data: values.data,
+            moderatorToken,
+            moderateAll: values['moderate-all'],
+            rateLimit,
+            rateWindowMs: rateWindow * 1000
+        });
+        const { port: actualPort } = server.address();
+        console.error(`Reviews at http://${values.host}:${actualPort}${API_PATH} (page at http://${values.host}:${actualPort}/)${values.data ? `, saved to ${values.data}` : ''}${moderatorToken ? ', moderation on' : ''}`);
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        return 1;
+    }
+    return undefined; // Keep serving
+}
+
+// Run as a program, not when imported (e.g. by tests that call `startServer`).
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const code = await main();
+    if (code !== undefined) process.exitCode = code;
+}
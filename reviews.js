@@ -0,0 +1,468 @@
+/*
+ * File: reviews.js
+ * The review logic of the profile page (Index.html): checking a submitted review, the statistics
+ * shown above the form, sorting and paging the list, and the storage the reviews live in. Storage
+ * sits behind a small adapter interface, so the page can keep reviews in memory, in localStorage or
+ * on a server (review-server.mjs stands in for one locally) without any other change. Abuse controls
+ * (rate limits, duplicates, blocked words held for moderation) wrap any adapter the same way.
+ */
+const reviewStore = (() => {
+    const MIN_RATING = 1;
+    const MAX_RATING = 100;
+    const MAX_TEXT_LENGTH = 500;
+    const STORAGE_KEY = 'lanavyn-reviews';
+    const PAGE_SIZE = 5;
+    const STATUSES = ['approved', 'pending', 'hidden'];
+    const SORT_ORDERS = ['newest', 'oldest', 'highest', 'lowest'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Reviews using these words are held for a moderator instead of being published. Matching
+    // ignores case, common digit-for-letter swaps and repeated letters ("anjiiing").
+    const BLOCKED_WORDS = [
+        'anjing', 'bangsat', 'babi', 'kontol', 'memek', 'goblok', 'tolol', 'brengsek', 'bajingan', 'asu',
+        'jancuk', 'ngentot', 'kampret', 'fuck', 'shit', 'bitch', 'asshole', 'bastard', 'cunt', 'dick'
+    ];
+    const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+    /**
+     * @typedef {object} Review
+     * @property {string} id A unique id.
+     * @property {string} text What the reviewer wrote.
+     * @property {number} rating A whole number from `MIN_RATING` to `MAX_RATING`.
+     * @property {number} createdAt When it was posted, in milliseconds since the epoch.
+     * @property {'approved'|'pending'|'hidden'} status Only approved reviews are public; pending ones wait for a moderator.
+     */
+
+    /**
+     * @typedef {object} ReviewStorage
+     * @property {function({status?: string}=): Promise<Review[]>} list Reads the reviews (those with `status` only, when given), in no particular order.
+     * @property {function({text: string, rating: number, status?: string}): Promise<Review>} add Stores a new review and returns it as stored.
+     * @property {function(string, {status: string}): Promise<Review>} update Changes a review's status and returns it.
+     */
+
+    /**
+     * Checks what a reviewer submitted.
+     * @param {{text: *, rating: *}} input The form values (the rating may be a string, as sliders give it).
+     * @returns {{text: string, rating: number}} The trimmed text and the rating as a number.
+     */
+    function validate(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error("A review needs a text and a rating.");
+        }
+        const text = typeof input.text === 'string' ? input.text.trim() : '';
+        if (!text) {
+            throw new Error("The review text cannot be empty.");
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            throw new Error(`The review text is longer than ${MAX_TEXT_LENGTH} characters.`);
+        }
+        const rating = Number(input.rating);
+        if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+            throw new Error(`The rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}.`);
+        }
+        return { text, rating };
+    }
+
+    /**
+     * Checks a status.
+     * @param {*} status The status.
+     * @returns {string} The status.
+     */
+    function checkStatus(status) {
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Unknown review status "${status}". Use one of: ${STATUSES.join(', ')}.`);
+        }
+        return status;
+    }
+
+    /**
+     * Makes a unique enough id for reviews stored without a server.
+     * @returns {string} The id.
+     */
+    function createId() {
+        const random = crypto.getRandomValues(new Uint32Array(2));
+        return `${Date.now().toString(36)}-${Array.from(random, (word) => word.toString(36)).join('')}`;
+    }
+
+    /**
+     * Builds a stored review from a submission.
+     * @param {{text: *, rating: *, status?: string}} input The submission; it is validated. It is approved unless a status is given.
+     * @param {number} [now] The time of posting.
+     * @returns {Review} The review.
+     */
+    function createReview(input, now = Date.now()) {
+        const status = input && input.status !== undefined ? checkStatus(input.status) : 'approved';
+        return { id: createId(), ...validate(input), createdAt: now, status };
+    }
+
+    /**
+     * Reads a review back from storage, so a damaged entry cannot break the page: one whose rating
+     * is not a whole number in range is dropped. Reviews stored before moderation existed count as approved.
+     * @param {*} review The entry.
+     * @returns {Review|null} The review, or null when it is not usable.
+     */
+    function readReview(review) {
+        const ratingValid = review && Number.isInteger(review.rating) && review.rating >= MIN_RATING && review.rating <= MAX_RATING;
+        if (!ratingValid || typeof review.text !== 'string' || !Number.isFinite(review.createdAt)) {
+            return null;
+        }
+        return STATUSES.includes(review.status) ? review : { ...review, status: 'approved' };
+    }
+
+    /**
+     * Reads every usable review of a list.
+     * @param {Array<*>} reviews The entries.
+     * @returns {Review[]} The reviews.
+     */
+    function readReviews(reviews) {
+        return reviews.map(readReview).filter(Boolean);
+    }
+
+    /**
+     * Keeps the reviews with a status.
+     * @param {Review[]} reviews The reviews.
+     * @param {{status?: string}} [filter] The status wanted; all reviews without one.
+     * @returns {Review[]} The reviews kept.
+     */
+    function withStatus(reviews, { status } = {}) {
+        return status === undefined ? reviews : reviews.filter((review) => review.status === checkStatus(status));
+    }
+
+    /**
+     * Applies a moderation change to a review in a list.
+     * @param {Review[]} reviews The reviews; the one changed is replaced.
+     * @param {string} id The review id.
+     * @param {{status: string}} changes The new status.
+     * @returns {Review} The changed review.
+     */
+    function applyUpdate(reviews, id, changes) {
+        const index = reviews.findIndex((review) => review.id === id);
+        if (index < 0) {
+            throw Object.assign(new Error(`There is no review "${id}".`), { code: 'not-found' });
+        }
+        reviews[index] = { ...reviews[index], status: checkStatus(changes && changes.status) };
+        return { ...reviews[index] };
+    }
+
+    /**
+     * Sorts reviews for display; ties go to the newest.
+     * @param {Review[]} reviews The reviews.
+     * @param {'newest'|'oldest'|'highest'|'lowest'} [order] The order.
+     * @returns {Review[]} A sorted copy.
+     */
+    function sortReviews(reviews, order = 'newest') {
+        if (!SORT_ORDERS.includes(order)) {
+            throw new Error(`Unknown sort order "${order}". Use one of: ${SORT_ORDERS.join(', ')}.`);
+        }
+        const compare = {
+            newest: () => 0,
+            oldest: (a, b) => a.createdAt - b.createdAt,
+            highest: (a, b) => b.rating - a.rating,
+            lowest: (a, b) => a.rating - b.rating
+        }[order];
+        return [...reviews].sort((a, b) => compare(a, b) || b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Cuts a list into pages.
+     * @param {Array<*>} items The items.
+     * @param {number} page The page wanted, from 1; it is clamped to the pages there are.
+     * @param {number} [pageSize] Items per page.
+     * @returns {{items: Array<*>, page: number, pageCount: number, total: number}} The page's items, the page shown and the number of pages (at least 1).
+     */
+    function paginate(items, page, pageSize = PAGE_SIZE) {
+        const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+        const current = Math.min(Math.max(1, Math.floor(page) || 1), pageCount);
+        return { items: items.slice((current - 1) * pageSize, current * pageSize), page: current, pageCount, total: items.length };
+    }
+
+    /**
+     * Works out what the page shows above the form.
+     * @param {Review[]} reviews The reviews.
+     * @returns {{count: number, average: number}} The number of reviews and their average rating to one decimal (0 when there are none).
+     */
+    function summarize(reviews) {
+        if (reviews.length === 0) return { count: 0, average: 0 };
+        const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+        return { count: reviews.length, average: Math.round((total / reviews.length) * 10) / 10 };
+    }
+
+    /**
+     * Counts the ratings in bands (1-10, 11-20, ... 91-100 by default); ratings outside them are left out.
+     * @param {Review[]} reviews The reviews.
+     * @param {number} [bandSize] The width of a band.
+     * @returns {Array<{from: number, to: number, count: number}>} The bands, lowest first.
+     */
+    function histogram(reviews, bandSize = 10) {
+        const bands = [];
+        for (let from = MIN_RATING; from <= MAX_RATING; from += bandSize) {
+            bands.push({ from, to: Math.min(from + bandSize - 1, MAX_RATING), count: 0 });
+        }
+        reviews.forEach((review) => {
+            const band = bands[Math.floor((review.rating - MIN_RATING) / bandSize)];
+            if (band) band.count++;
+        });
+        return bands;
+    }
+
+    /**
+     * Formats a time as a local calendar date.
+     * @param {number|Date} time Milliseconds since the epoch, or a date.
+     * @returns {string} The date as YYYY-MM-DD.
+     */
+    function localDate(time) {
+        const date = new Date(time);
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((part) => String(part).padStart(2, '0')).join('-');
+    }
+
+    /**
+     * Follows the ratings day by day.
+     * @param {Review[]} reviews The reviews.
+     * @param {{days?: number, now?: number}} [options] How many days to cover, up to and including the day of `now`.
+     * @returns {Array<{date: string, count: number, average: number|null}>} Every day, oldest first, with its number of
+     *     reviews and their average rating (null on days without any).
+     */
+    function trend(reviews, { days = 30, now = Date.now() } = {}) {
+        const series = [];
+        const byDate = new Map();
+        const today = new Date(now);
+        for (let i = days - 1; i >= 0; i--) {
+            // Stepping by calendar date, not by 24 hours, keeps one entry per day across DST changes.
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+            const day = { date: localDate(date), count: 0, total: 0 };
+            series.push(day);
+            byDate.set(day.date, day);
+        }
+        reviews.forEach((review) => {
+            const day = byDate.get(localDate(review.createdAt));
+            if (!day) return;
+            day.count++;
+            day.total += review.rating;
+        });
+        return series.map(({ date, count, total }) => ({ date, count, average: count ? Math.round((total / count) * 10) / 10 : null }));
+    }
+
+    /**
+     * Reduces text to what a person reads, for duplicate and blocked-word checks.
+     * @param {string} text The text.
+     * @returns {string[]} Its words, lower case, with look-alike digits read as letters and repeated letters once.
+     */
+    function words(text) {
+        const plain = text.toLowerCase().replace(/[013457@$]/g, (char) => LOOKALIKES[char]);
+        return (plain.match(/\p{L}+/gu) || []).map((word) => word.replace(/(\p{L})\1+/gu, '$1'));
+    }
+
+    /**
+     * Tells whether a text uses a blocked word.
+     * @param {string} text The text.
+     * @param {string[]} [blockedWords] The words to look for.
+     * @returns {boolean} Whether it does.
+     */
+    function containsBlockedWord(text, blockedWords = BLOCKED_WORDS) {
+        const blocked = new Set(blockedWords.map((word) => words(word).join('')));
+        return words(text).some((word) => blocked.has(word));
+    }
+
+    /**
+     * Limits how many reviews one client may post in a sliding window.
+     * @param {{limit?: number, windowMs?: number}} [options] Reviews allowed per window (3 per 10 minutes by default).
+     * @returns {{hit: function(string, number=): void}} `hit(clientId, now)` counts a review, or throws (with
+     *     `code: 'rate-limited'` and `retryAfterMs`) when the client has used up the window.
+     */
+    function createRateLimiter({ limit = 3, windowMs = 10 * 60 * 1000 } = {}) {
+        const hits = new Map();
+        return {
+            hit(clientId, now = Date.now()) {
+                const recent = (hits.get(clientId) || []).filter((time) => time > now - windowMs);
+                if (recent.length >= limit) {
+                    const retryAfterMs = recent[0] + windowMs - now;
+                    hits.set(clientId, recent);
+                    throw Object.assign(new Error(`Too many reviews: try again in ${Math.ceil(retryAfterMs / 60000)} minute(s).`), {
+                        code: 'rate-limited',
+                        retryAfterMs
+                    });
+                }
+                recent.push(now);
+                hits.set(clientId, recent);
+                // Forget clients whose window has passed, so the map does not grow without end.
+                hits.forEach((times, id) => { if (times[times.length - 1] <= now - windowMs) hits.delete(id); });
+            }
+        };
+    }
+
+    /**
+     * Wraps storage with the abuse controls: a review must pass `validate`, must not repeat a review
+     * posted in the duplicate window, and counts against its client's rate limit. Reviews using a
+     * blocked word (or every review, with `moderateAll`) wait as 'pending' until a moderator approves them.
+     * @param {ReviewStorage} storage The storage to wrap.
+     * @param {object} [options]
+     * @param {{hit: function(string, number=): void}} [options.rateLimiter] From `createRateLimiter`; a default one is made.
+     * @param {string[]} [options.blockedWords] Words that send a review to moderation.
+     * @param {boolean} [options.moderateAll] Hold every review for moderation.
+     * @param {number} [options.duplicateWindowMs] How long the same text cannot be posted again (a day by default).
+     * @returns {ReviewStorage} The storage; its `add(input, {clientId, now})` takes the client to rate-limit.
+     */
+    function createModeratedStorage(storage, { rateLimiter = createRateLimiter(), blockedWords = BLOCKED_WORDS, moderateAll = false, duplicateWindowMs = DAY_MS } = {}) {
+        const fingerprint = (text) => words(text).join(' ');
+        return {
+            list: (filter) => storage.list(filter),
+            update: (id, changes) => storage.update(id, changes),
+            async add(input, { clientId = 'local', now = Date.now() } = {}) {
+                const { text, rating } = validate(input);
+                const posted = fingerprint(text);
+                const existing = await storage.list();
+                if (existing.some((review) => review.createdAt > now - duplicateWindowMs && fingerprint(review.text) === posted)) {
+                    throw Object.assign(new Error("This review has already been posted."), { code: 'duplicate' });
+                }
+                rateLimiter.hit(clientId, now);
+                const status = moderateAll || containsBlockedWord(text, blockedWords) ? 'pending' : 'approved';
+                return storage.add({ text, rating, status });
+            }
+        };
+    }
+
+    /**
+     * Keeps reviews in memory; they are gone on reload. Useful for tests and as the server's store.
+     * @param {Review[]} [initial] Reviews to start with.
+     * @returns {ReviewStorage} The storage.
+     */
+    function createMemoryStorage(initial = []) {
+        const reviews = readReviews(initial);
+        return {
+            async list(filter) {
+                return withStatus(reviews, filter).map((review) => ({ ...review }));
+            },
+            async add(input) {
+                const review = createReview(input);
+                reviews.push(review);
+                return { ...review };
+            },
+            async update(id, changes) {
+                return applyUpdate(reviews, id, changes);
+            }
+        };
+    }
+
+    /**
+     * Keeps reviews in the browser's localStorage, so they survive a reload but stay on this device.
+     * @param {Storage} [storage] The storage area (`localStorage` by default).
+     * @param {string} [key] The item the reviews are kept under.
+     * @returns {ReviewStorage} The storage.
+     */
+    function createLocalStorage(storage = globalThis.localStorage, key = STORAGE_KEY) {
+        if (!storage) {
+            throw new Error("localStorage is not available here.");
+        }
+        const read = () => {
+            try {
+                const reviews = JSON.parse(storage.getItem(key) || '[]');
+                return Array.isArray(reviews) ? readReviews(reviews) : [];
+            } catch (e) {
+                return []; // A damaged item starts the list afresh rather than breaking the page.
+            }
+        };
+        const write = (reviews) => storage.setItem(key, JSON.stringify(reviews));
+        return {
+            async list(filter) {
+                return withStatus(read(), filter);
+            },
+            async add(input) {
+                const review = createReview(input);
+                write([...read(), review]);
+                return review;
+            },
+            async update(id, changes) {
+                const reviews = read();
+                const review = applyUpdate(reviews, id, changes);
+                write(reviews);
+                return review;
+            }
+        };
+    }
+
+    /**
+     * Reads a server's error message, if it sent one.
+     * @param {Response} response The response.
+     * @returns {Promise<string>} The message, or the HTTP status.
+     */
+    async function responseError(response) {
+        try {
+            const body = await response.json();
+            if (body && typeof body.error === 'string') return body.error;
+        } catch (e) {
+            // Not JSON: fall back to the status.
+        }
+        return `The review server answered ${response.status}.`;
+    }
+
+    /**
+     * Keeps reviews on a server (see review-server.mjs): `GET url?status=` lists them, `POST url` with
+     * `{text, rating}` as JSON adds one and `PATCH url/<id>` with `{status}` moderates one. The server
+     * has the last word on validation and the abuse controls; listing anything but approved reviews,
+     * and moderating, need the moderator token.
+     * @param {string} url The reviews endpoint, e.g. 'http://localhost:8787/api/reviews'.
+     * @param {object} [options]
+     * @param {typeof fetch} [options.fetch] The fetch function to use.
+     * @param {string|function(): string} [options.token] The moderator token, or a function reading it when needed.
+     * @returns {ReviewStorage} The storage.
+     */
+    function createRestStorage(url, { fetch: fetchImpl = globalThis.fetch, token } = {}) {
+        if (!url) {
+            throw new Error("The REST storage needs the URL of the reviews endpoint.");
+        }
+        const request = async (target, options) => {
+            const headers = { Accept: 'application/json', 'Content-Type': 'application/json' };
+            const bearer = typeof token === 'function' ? token() : token;
+            if (bearer) headers.Authorization = `Bearer ${bearer}`;
+            let response;
+            try {
+                response = await fetchImpl(target, { headers, ...options });
+            } catch (e) {
+                throw new Error(`The review server cannot be reached: ${e.message}`);
+            }
+            if (!response.ok) {
+                throw new Error(await responseError(response));
+            }
+            return response.json();
+        };
+        return {
+            async list({ status } = {}) {
+                const reviews = await request(status === undefined ? url : `${url}?status=${encodeURIComponent(status)}`, { method: 'GET' });
+                return Array.isArray(reviews) ? readReviews(reviews) : [];
+            },
+            async add(input) {
+                return request(url, { method: 'POST', body: JSON.stringify(validate(input)) });
+            },
+            async update(id, changes) {
+                return request(`${url}/${encodeURIComponent(id)}`, { method: 'PATCH', body: JSON.stringify({ status: checkStatus(changes && changes.status) }) });
+            }
+        };
+    }
+
+    return {
+        MIN_RATING,
+        MAX_RATING,
+        MAX_TEXT_LENGTH,
+        PAGE_SIZE,
+        STATUSES,
+        SORT_ORDERS,
+        validate,
+        createReview,
+        sortReviews,
+        paginate,
+        summarize,
+        histogram,
+        trend,
+        containsBlockedWord,
+        createRateLimiter,
+        createModeratedStorage,
+        createMemoryStorage,
+        createLocalStorage,
+        createRestStorage
+    };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = reviewStore;
+}
@@ -0,0 +1,146 @@
+/*
+ * File: runner.js
+ * Runs obfuscation jobs off the main thread. Jobs go to worker.js, which loads the same method
+ * scripts as the page, and stream their progress back. Where a worker cannot be started (e.g. the
+ * page was opened from file://), jobs run on the main thread instead.
+ */
+const methodRunner = (() => {
+    /**
+     * @typedef {object} Job
+     * @property {'encode'|'decode'} action What to do.
+     * @property {string} method A registered method id, or 'pipeline'.
+     * @property {string} code The code.
+     * @property {string} [arg] The key, or the map/manifest when the method decodes with one.
+     * @property {object} [options] The method's options (for `decode`, e.g. the `map` a key-based method checks the code against).
+     * @property {Array<object>} [steps] Pipeline steps, for `encode` with 'pipeline'.
+     * @property {string} [seed] The pipeline's seed, for `encode` with 'pipeline' (other methods take it in `options`).
+     * @property {Object<string, string>} [keys] Pipeline keys by `keyRef`, for `decode` with 'pipeline'.
+     */
+
+    /**
+     * Runs a job in the current thread.
+     * @param {Job} job The job.
+     * @param {function(number): void} onProgress Receives the fraction done.
+     * @returns {Promise<{result: string, map: string, sourceMap?: string, stats?: object}>} The method's output.
+     */
+    async function execute(job, onProgress) {
+        if (job.method === 'pipeline') {
+            return job.action === 'encode'
+                ? pipeline.run(job.code, job.steps, { seed: job.seed, onProgress })
+                : pipeline.reverse(job.code, job.arg, job.keys, { onProgress });
+        }
+        const { handler } = methodRegistry.getMethod(job.method);
+        return job.action === 'encode'
+            ? handler.encode(job.code, job.arg, { ...job.options, onProgress })
+            : handler.decode(job.code, job.arg, { ...job.options, onProgress });
+    }
+
+    let worker = null;
+    let workerUnavailable = typeof Worker === 'undefined';
+    let pending = null; // {id, job, onProgress, resolve, reject}
+    let nextJobId = 1;
+    const pluginUrls = []; // Third-party method scripts, loaded into every new worker
+
+    /**
+     * Creates the worker on first use.
+     * @returns {Worker|null} The worker, or null when jobs must run on the main thread.
+     */
+    function getWorker() {
+        if (worker || workerUnavailable) return worker;
+        try {
+            worker = new Worker('worker.js');
+        } catch (e) {
+            workerUnavailable = true;
+            return null;
+        }
+        worker.onmessage = ({ data }) => {
+            if (!pending || data.id !== pending.id) return;
+            if (data.type === 'progress') {
+                pending.onProgress(data.fraction);
+            } else if (data.type === 'result') {
+                settle().resolve(data.output);
+            } else if (data.type === 'error') {
+                settle().reject(new Error(data.message));
+            }
+        };
+        worker.onerror = (event) => {
+            // The worker itself failed to load (not a method error): fall back to the main thread.
+            event.preventDefault();
+            discardWorker();
+            workerUnavailable = true;
+            if (pending) {
+                const { job, onProgress, resolve, reject } = settle();
+                execute(job, onProgress).then(resolve, reject);
+            }
+        };
+        pluginUrls.forEach((url) => worker.postMessage({ type: 'plugin', url }));
+        return worker;
+    }
+
+    /**
+     * Clears the pending job.
+     * @returns {object} The job that was pending.
+     */
+    function settle() {
+        const job = pending;
+        pending = null;
+        return job;
+    }
+
+    /**
+     * Stops the worker; the next job starts a fresh one.
+     */
+    function discardWorker() {
+        if (!worker) return;
+        worker.terminate();
+        worker = null;
+    }
+
+    /**
+     * Runs a job, in the worker when possible. One job runs at a time.
+     * @param {Job} job The job.
+     * @param {function(number): void} [onProgress] Receives the fraction done (0 to 1).
+     * @returns {Promise<{result: string, map: string, sourceMap?: string, stats?: object}>} The method's output. Rejects with an `AbortError` when cancelled.
+     */
+    function run(job, onProgress = () => {}) {
+        if (pending) {
+            return Promise.reject(new Error("Another job is still running."));
+        }
+        return new Promise((resolve, reject) => {
+            pending = { id: nextJobId++, job, onProgress, resolve, reject };
+            const target = getWorker();
+            if (target) {
+                target.postMessage({ type: 'job', id: pending.id, job });
+                return;
+            }
+            const { id } = pending;
+            execute(job, onProgress).then(
+                (output) => { if (pending && pending.id === id) settle().resolve(output); },
+                (error) => { if (pending && pending.id === id) settle().reject(error); }
+            );
+        });
+    }
+
+    /**
+     * Cancels the running job. The worker is terminated, so even a job stuck in a long loop stops;
+     * a job running on the main thread is only abandoned.
+     */
+    function cancel() {
+        if (!pending) return;
+        discardWorker();
+        const error = new Error("Cancelled.");
+        error.name = 'AbortError';
+        settle().reject(error);
+    }
+
+    /**
+     * Loads a third-party method script into the worker too (the page loads it itself).
+     * @param {string} url The script URL, e.g. a blob URL.
+     */
+    function loadPlugin(url) {
+        pluginUrls.push(url);
+        if (worker) worker.postMessage({ type: 'plugin', url });
+    }
+
+    return { execute, run, cancel, loadPlugin };
+})();
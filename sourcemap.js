@@ -0,0 +1,175 @@
+/*
+ * File: sourcemap.js
+ * Shared helpers for building Source Map v3 files.
+ * Methods describe their transformation as a list of edits ({start, end, text, name?}) made to the
+ * original code; the same list produces both the output and the source map.
+ */
+const sourceMap = (() => {
+    const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+    /**
+     * Encodes a signed integer as a Base64 VLQ.
+     * @param {number} value The integer.
+     * @returns {string} The VLQ digits.
+     */
+    function encodeVLQ(value) {
+        let vlq = value < 0 ? ((-value) << 1) | 1 : value << 1;
+        let encoded = '';
+        do {
+            let digit = vlq & 31;
+            vlq >>>= 5;
+            if (vlq > 0) digit |= 32;
+            encoded += BASE64_DIGITS[digit];
+        } while (vlq > 0);
+        return encoded;
+    }
+
+    /**
+     * Sorts edits by position, keeping pure insertions before replacements at the same offset.
+     * @param {Array<{start: number, end: number}>} edits The edits.
+     * @returns {Array<{start: number, end: number}>} A sorted copy.
+     */
+    function sortEdits(edits) {
+        return edits.slice().sort((a, b) => (a.start - b.start) || (a.end - b.end));
+    }
+
+    /**
+     * Applies edits to the code. Edits overlapping an earlier one are ignored.
+     * @param {string} code The original code.
+     * @param {Array<{start: number, end: number, text: string}>} edits The edits, relative to the original code.
+     * @returns {string} The edited code.
+     */
+    function applyEdits(code, edits) {
+        let output = '';
+        let last = 0;
+        for (const edit of sortEdits(edits)) {
+            if (edit.start < last) continue;
+            output += code.slice(last, edit.start) + edit.text;
+            last = edit.end;
+        }
+        return output + code.slice(last);
+    }
+
+    /**
+     * Creates a function converting an offset in the code to a zero-based line and column.
+     * @param {string} code The code.
+     * @returns {function(number): {line: number, column: number}} The locator.
+     */
+    function createLocator(code) {
+        const lineStarts = [0];
+        for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+        return (offset) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+            }
+            return { line: low, column: offset - lineStarts[low] };
+        };
+    }
+
+    /**
+     * Generates a Source Map v3 for code produced by `applyEdits(code, edits)`.
+     * Unchanged text gets a mapping per word or punctuator; each edit gets one mapping at its
+     * start, carrying `edit.name` (the original identifier) when given.
+     * @param {string} code The original code.
+     * @param {Array<{start: number, end: number, text: string, name?: string}>} edits The edits.
+     * @param {{sourceFileName?: string, outputFileName?: string}} [options] File names to record.
+     * @returns {string} The source map as JSON.
+     */
+    function generate(code, edits, options = {}) {
+        const locate = createLocator(code);
+        const names = [];
+        const nameIndexes = new Map();
+        const lines = [[]];
+        let generatedColumn = 0;
+
+        const advance = (text) => {
+            for (let i = text.indexOf('\n'), from = 0; ; from = i + 1, i = text.indexOf('\n', from)) {
+                if (i === -1) {
+                    generatedColumn += text.length - from;
+                    return;
+                }
+                lines.push([]);
+                generatedColumn = 0;
+            }
+        };
+
+        const addSegment = (offset, name) => {
+            const { line, column } = locate(offset);
+            const segment = [generatedColumn, line, column];
+            if (name !== undefined) {
+                if (!nameIndexes.has(name)) {
+                    nameIndexes.set(name, names.length);
+                    names.push(name);
+                }
+                segment.push(nameIndexes.get(name));
+            }
+            lines[lines.length - 1].push(segment);
+        };
+
+        const emitUnchanged = (start, end) => {
+            const tokenRegex = /[\w$]+|[^\w$\s]/g;
+            tokenRegex.lastIndex = start;
+            let position = start;
+            let match;
+            while ((match = tokenRegex.exec(code)) !== null && match.index < end) {
+                advance(code.slice(position, match.index));
+                addSegment(match.index);
+                const tokenEnd = Math.min(match.index + match[0].length, end);
+                advance(code.slice(match.index, tokenEnd));
+                position = tokenEnd;
+            }
+            advance(code.slice(position, end));
+        };
+
+        let last = 0;
+        for (const edit of sortEdits(edits)) {
+            if (edit.start < last) continue;
+            emitUnchanged(last, edit.start);
+            if (edit.text) {
+                addSegment(edit.start, edit.name);
+                advance(edit.text);
+            }
+            last = edit.end;
+        }
+        emitUnchanged(last, code.length);
+
+        // Every field except the generated column is relative to the previous segment in the whole map.
+        let previousLine = 0;
+        let previousColumn = 0;
+        let previousName = 0;
+        const mappings = lines.map((segments) => {
+            let previousGeneratedColumn = 0;
+            return segments.map(([column, line, originalColumn, name]) => {
+                let encoded = encodeVLQ(column - previousGeneratedColumn) + encodeVLQ(0)
+                    + encodeVLQ(line - previousLine) + encodeVLQ(originalColumn - previousColumn);
+                previousGeneratedColumn = column;
+                previousLine = line;
+                previousColumn = originalColumn;
+                if (name !== undefined) {
+                    encoded += encodeVLQ(name - previousName);
+                    previousName = name;
+                }
+                return encoded;
+            }).join(',');
+        }).join(';');
+
+        return JSON.stringify({
+            version: 3,
+            file: options.outputFileName || 'output.js',
+            sources: [options.sourceFileName || 'input.js'],
+            sourcesContent: [code],
+            names,
+            mappings
+        });
+    }
+
+    return { applyEdits, generate };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = sourceMap;
+}
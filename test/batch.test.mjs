@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate, deobfuscate } from '../index.mjs';
+import batchProject from '../batch.js';
+import mapContainer from '../container.js';
+
+const FILES = [
+    { path: 'src/b.js', code: 'function hello(name) { return "hi " + name; }' },
+    { path: 'src/a.js', code: 'const count = 2; console.log(count);' }
+];
+
+async function runBatch() {
+    const outputs = [];
+    for (const file of FILES) {
+        outputs.push({ path: file.path, input: file.code, ...await obfuscate(file.code, { method: 'lexical-scramble', seed: 2 }) });
+    }
+    return { outputs, map: batchProject.buildMap('lexical-scramble', outputs, { hello: 'a' }) };
+}
+
+test('a batch map is a map container holding every file map', async () => {
+    const { outputs, map } = await runBatch();
+    assert.ok(mapContainer.isContainer(map));
+    const written = outputs.map(({ path, result }) => ({ path, code: result })).reverse();
+    const { files, globalRenames } = batchProject.readMap(map, 'lexical-scramble', written);
+    assert.deepEqual(globalRenames, { hello: 'a' });
+    for (const { path, result, input } of outputs) {
+        const restored = await deobfuscate(result, { method: 'lexical-scramble', map: files[path] });
+        assert.equal(restored.result.replace(/\s+/g, ''), input.replace(/\s+/g, ''));
+    }
+});
+
+test('a batch map rejects edited files and file maps', async () => {
+    const { outputs, map } = await runBatch();
+    const written = outputs.map(({ path, result }) => ({ path, code: result }));
+    written[0] = { ...written[0], code: `${written[0].code}\n` };
+    assert.throws(() => batchProject.readMap(map, 'lexical-scramble', written), /does not match the map/);
+    assert.throws(() => batchProject.readMap(outputs[0].map, 'lexical-scramble', [written[1]]), /does not match the map|not a project map/);
+    assert.throws(() => batchProject.readMap(map, 'string-conceal', written), /made by "lexical-scramble"/);
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import mapContainer from '../container.js';
+import { run } from './helpers.mjs';
+
+const CLI = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+const SAMPLE = `function double(value) { return value * 2; }\nconsole.log('double', double(21));`;
+
+/**
+ * Runs the CLI.
+ * @param {string[]} args The arguments.
+ * @param {{cwd: string, input?: string}} options The working directory, and what to write to stdin.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} The exit code and the output.
+ */
+function cli(args, { cwd, input = '' }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, ...args], { cwd, timeout: 60000 });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', reject);
+        child.on('close', (code) => resolve({ code, stdout, stderr }));
+        child.stdin.end(input);
+    });
+}
+
+/**
+ * Runs a test body in a fresh temporary directory.
+ * @param {function(string): Promise<void>} body Receives the directory.
+ * @returns {Promise<void>}
+ */
+async function inTempDir(body) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'surxrat-cli-'));
+    try {
+        await body(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('the CLI obfuscates the files a glob matches, with their maps, and reverses them', () => inTempDir(async (dir) => {
+    await mkdir(path.join(dir, 'src/lib'), { recursive: true });
+    await writeFile(path.join(dir, 'src/app.js'), SAMPLE);
+    await writeFile(path.join(dir, 'src/lib/util.js'), SAMPLE);
+    await writeFile(path.join(dir, 'src/notes.txt'), 'not code');
+
+    const { code, stderr } = await cli(['-m', 'lexical-scramble', '--seed', '1', 'src/**/*.js'], { cwd: dir });
+    assert.equal(code, 0, stderr);
+    for (const file of ['src/app', 'src/lib/util']) {
+        const output = await readFile(path.join(dir, `${file}.obf.js`), 'utf8');
+        assert.deepEqual(run(output).logs, ['double 42']);
+        assert.ok(mapContainer.isContainer(await readFile(path.join(dir, `${file}.obf.map.json`), 'utf8')));
+    }
+
+    const reversed = await cli(['-d', '-m', 'lexical-scramble', 'src'], { cwd: dir });
+    assert.equal(reversed.code, 0, reversed.stderr);
+    assert.deepEqual(run(await readFile(path.join(dir, 'src/app.deobf.js'), 'utf8')).logs, ['double 42']);
+}));
+
+test('the CLI reads stdin, writes stdout and the --map file, and reverses through both', () => inTempDir(async (dir) => {
+    const obfuscated = await cli(['-m', 'string-conceal', '-k', 'k', '--map', 'app.map.json'], { cwd: dir, input: SAMPLE });
+    assert.equal(obfuscated.code, 0, obfuscated.stderr);
+    assert.doesNotMatch(obfuscated.stdout, /'double'/);
+    assert.deepEqual(run(obfuscated.stdout).logs, ['double 42']);
+    const map = await readFile(path.join(dir, 'app.map.json'), 'utf8');
+    assert.equal(mapContainer.unwrap(map, 'string-conceal', obfuscated.stdout).method, 'string-conceal');
+
+    const restored = await cli(['-d', '-m', 'string-conceal', '-k', 'k', '--map', 'app.map.json', '-'], { cwd: dir, input: obfuscated.stdout });
+    assert.equal(restored.code, 0, restored.stderr);
+    assert.equal(restored.stdout, SAMPLE);
+}));
+
+test('the CLI exits non-zero when a file cannot be read or processed', () => inTempDir(async (dir) => {
+    await writeFile(path.join(dir, 'good.js'), SAMPLE);
+    await writeFile(path.join(dir, 'broken.js'), 'function (');
+
+    const missing = await cli(['missing.js'], { cwd: dir });
+    assert.equal(missing.code, 1);
+    assert.match(missing.stderr, /^Error: .*missing\.js/m);
+
+    const mixed = await cli(['-m', 'minify', 'good.js', 'broken.js'], { cwd: dir });
+    assert.equal(mixed.code, 1);
+    assert.match(mixed.stderr, /^broken\.js: /m);
+    assert.deepEqual(run(await readFile(path.join(dir, 'good.obf.js'), 'utf8')).logs, ['double 42']);
+
+    assert.equal((await cli(['-m', 'no-such-method', 'good.js'], { cwd: dir })).code, 2);
+}));
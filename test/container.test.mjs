@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate, deobfuscate } from '../index.mjs';
+import mapContainer from '../container.js';
+
+test('sha256 matches the standard test vectors', () => {
+    assert.equal(mapContainer.sha256(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    assert.equal(mapContainer.sha256('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('a map only decodes the output it was made for', async () => {
+    const { result, map } = await obfuscate('console.log("total", 1);', { method: 'string-conceal', key: 'k', seed: 1 });
+    const restored = await deobfuscate(result, { method: 'string-conceal', key: 'k', map });
+    assert.match(restored.map, /identical to the original/);
+    await assert.rejects(deobfuscate(`${result} `, { method: 'string-conceal', key: 'k', map }), /does not match the map/);
+});
+
+test('a map is checked for its format, version and method', () => {
+    const map = mapContainer.wrap('string-conceal', { input: 'a', output: 'b', data: {} });
+    const edit = (changes) => JSON.stringify({ ...JSON.parse(map), ...changes });
+    assert.equal(mapContainer.unwrap(map, 'string-conceal', 'b').data.constructor, Object);
+    assert.throws(() => mapContainer.unwrap('{', 'string-conceal'), /not valid JSON/);
+    assert.throws(() => mapContainer.unwrap(edit({ format: undefined }), 'string-conceal'), /not a versioned Surxrat map/);
+    assert.throws(() => mapContainer.unwrap(edit({ version: mapContainer.VERSION + 1 }), 'string-conceal'), /Unsupported map version/);
+    assert.throws(() => mapContainer.unwrap(map, 'lexical-scramble'), /made by "string-conceal"/);
+    assert.throws(() => mapContainer.unwrap(edit({ methodVersion: 99 }), 'string-conceal'), /newer than this release/);
+    assert.throws(() => mapContainer.unwrap(map, 'string-conceal', 'c'), /does not match the map/);
+});
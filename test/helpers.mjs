@@ -0,0 +1,21 @@
+/*
+ * File: test/helpers.mjs
+ * Shared helpers for the tests: running code in a fresh vm context and reading what it logged.
+ */
+import vm from 'node:vm';
+
+/**
+ * Runs classic script code in a fresh context.
+ * @param {string} code The code.
+ * @returns {{logs: string[], value: string}} The console.log lines and the completion value as JSON, since
+ *     values from another context never deep-equal this one's.
+ */
+export function run(code) {
+    const logs = [];
+    const context = vm.createContext({
+        console: { log: (...args) => logs.push(args.map(String).join(' ')) },
+        atob, btoa, TextEncoder, TextDecoder
+    });
+    const value = vm.runInContext(code, context, { timeout: 1000 });
+    return { logs, value: JSON.stringify(value) };
+}
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { obfuscateHtml, deobfuscateHtml } from '../index.mjs';
+import mapContainer from '../container.js';
+
+const PAGE = `<!doctype html>
+<button onclick='alert("hi")'>a</button><b onmouseover=go()>b</b><i onclick="say('x')">c</i>
+<script src="lib.js"></script>
+<script>function go(){console.log("s");}</script>`;
+const CLI = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+
+test('a page round-trips through its map container for every method', async () => {
+    for (const [method, key] of [['lexical-scramble'], ['string-conceal', 'k'], ['lana-vortex', 'k']]) {
+        const { result, map } = await obfuscateHtml(PAGE, { method, key, seed: 5 });
+        assert.ok(mapContainer.isContainer(map), method);
+        assert.ok(result.includes('<script src="lib.js"></script>'), method);
+        const restored = await deobfuscateHtml(result, { method, key, map });
+        assert.equal(restored.result, PAGE, method);
+        assert.match(restored.map, /identical to the original/, method);
+    }
+});
+
+test('a page map rejects another method and an edited page', async () => {
+    const { result, map } = await obfuscateHtml(PAGE, { method: 'lana-vortex', key: 'k', seed: 5 });
+    await assert.rejects(deobfuscateHtml(result, { method: 'string-conceal', key: 'k', map }), /made by "lana-vortex"/);
+    await assert.rejects(deobfuscateHtml(result + ' ', { method: 'lana-vortex', key: 'k', map }), /does not match the map/);
+});
+
+test('key-based decoding without a map keeps the handler quotes', async () => {
+    const page = `<button onclick='alert("hi")'>a</button><i onclick="say('x')">c</i>`;
+    const { result } = await obfuscateHtml(page, { method: 'lana-vortex', key: 'k', seed: 5 });
+    const restored = await deobfuscateHtml(result, { method: 'lana-vortex', key: 'k' });
+    assert.equal(restored.result, page);
+});
+
+test('the CLI writes the map of a key-based page', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'surxrat-html-'));
+    try {
+        await writeFile(path.join(dir, 'page.html'), PAGE);
+        await promisify(execFile)(process.execPath, [CLI, '-m', 'lana-vortex', '-k', 'k', 'page.html'], { cwd: dir, timeout: 60000 });
+        assert.ok(mapContainer.isContainer(await readFile(path.join(dir, 'page.obf.map.json'), 'utf8')));
+        await promisify(execFile)(process.execPath, [CLI, '-d', '-m', 'lana-vortex', '-k', 'k', 'page.obf.html'], { cwd: dir, timeout: 60000 });
+        assert.equal(await readFile(path.join(dir, 'page.deobf.html'), 'utf8'), PAGE);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
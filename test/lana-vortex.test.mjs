@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { obfuscate, deobfuscate } from '../index.mjs';
+import { run } from './helpers.mjs';
+
+const SAMPLE = `var total = 0; for (var i = 1; i <= 10; i++) total += i; console.log('total', total);`;
+
+/**
+ * Runs secure mode output with a passphrase and waits for it to decrypt.
+ * @param {string} code The wrapper.
+ * @param {string} passphrase The passphrase the host hands to it.
+ * @returns {Promise<{logs: string[], rejections: Array<*>}>} The console lines, and any unhandled rejection.
+ */
+async function runSecure(code, passphrase) {
+    const logs = [];
+    const rejections = [];
+    const onRejection = (reason) => rejections.push(reason);
+    process.on('unhandledRejection', onRejection);
+    try {
+        const record = (level) => (...args) => logs.push(`${level} ${args.join(' ')}`);
+        const context = vm.createContext({
+            console: { log: record('log'), error: record('error') },
+            crypto, atob, TextEncoder, TextDecoder, lanaVortexPassphrase: passphrase
+        });
+        await vm.runInContext(code, context);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    } finally {
+        process.off('unhandledRejection', onRejection);
+    }
+    return { logs, rejections };
+}
+
+test('classic mode runs and decodes with the key', async () => {
+    const { result, map } = await obfuscate(SAMPLE, { method: 'lana-vortex', key: 'secret-key' });
+    assert.deepEqual(run(result).logs, ['total 55']);
+    const restored = await deobfuscate(result, { method: 'lana-vortex', key: 'secret-key', map });
+    assert.equal(restored.result, SAMPLE);
+    assert.match(restored.map, /identical to the original/);
+});
+
+test('classic mode round-trips code and keys outside Latin-1', async () => {
+    const code = 'console.log("héllo ✓ 😀", "\\u00e9".length)';
+    for (const key of ['secret-key', 'kunci-✓']) {
+        const { result, map } = await obfuscate(code, { method: 'lana-vortex', key });
+        assert.deepEqual(run(result).logs, ['héllo ✓ 😀 1']);
+        assert.equal((await deobfuscate(result, { method: 'lana-vortex', key, map })).result, code);
+    }
+});
+
+test('classic mode decodes a wrong key into the code XORed with both keys', async () => {
+    // Classic mode has no integrity check. Fragments are 5 units long for a 10-unit key, and each
+    // fragment is XORed from the start of the key.
+    const { result } = await obfuscate(SAMPLE, { method: 'lana-vortex', key: 'secret-key' });
+    const restored = await deobfuscate(result, { method: 'lana-vortex', key: 'other-key' });
+    const expected = Array.from(SAMPLE, (char, i) => String.fromCharCode(char.charCodeAt(0) ^ 'secret-key'.charCodeAt(i % 5) ^ 'other-key'.charCodeAt(i % 5))).join('');
+    assert.equal(restored.result, expected);
+});
+
+test('classic mode rejects a fragment order that does not match the payload', async () => {
+    const { result } = await obfuscate(SAMPLE, { method: 'lana-vortex', key: 'secret-key' });
+    const truncated = result.replace(/,m=\[([^\]]*)\]/, (match, list) => `,m=[${list.split(',').slice(0, -1).join(',')}]`);
+    assert.notEqual(truncated, result);
+    await assert.rejects(deobfuscate(truncated, { method: 'lana-vortex', key: 'secret-key' }), /fragment order lists 16 fragment\(s\), but the payload holds 17/);
+});
+
+test('secure mode runs and decodes with the passphrase', async () => {
+    const { result } = await obfuscate(SAMPLE, { method: 'lana-vortex', key: 'passphrase', mode: 'secure' });
+    assert.doesNotMatch(result, /passphrase"/);
+    assert.deepEqual((await runSecure(result, 'passphrase')).logs, ['log total 55']);
+    assert.equal((await deobfuscate(result, { method: 'lana-vortex', key: 'passphrase' })).result, SAMPLE);
+});
+
+test('secure mode reports a wrong passphrase instead of leaving the rejection unhandled', async () => {
+    const { result } = await obfuscate(SAMPLE, { method: 'lana-vortex', key: 'passphrase', mode: 'secure' });
+    const { logs, rejections } = await runSecure(result, 'wrong');
+    assert.deepEqual(rejections, []);
+    assert.deepEqual(logs, ['error Lana-Vortex: the code could not be decrypted: wrong passphrase or tampered payload.']);
+    await assert.rejects(deobfuscate(result, { method: 'lana-vortex', key: 'wrong' }), /Authentication failed/);
+});
+
+test('secure mode reports a tampered payload', async () => {
+    const { result } = await obfuscate(SAMPLE, { method: 'lana-vortex', key: 'passphrase', mode: 'secure' });
+    const tampered = result.replace(/"d":"(.)/, (match, first) => `"d":"${first === 'A' ? 'B' : 'A'}`);
+    const { logs, rejections } = await runSecure(tampered, 'passphrase');
+    assert.deepEqual(rejections, []);
+    assert.match(logs[0], /^error Lana-Vortex: .*tampered payload/);
+});
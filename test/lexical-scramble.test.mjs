@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate, deobfuscate } from '../index.mjs';
+import { run } from './helpers.mjs';
+
+const SAMPLE = `
+function greet(person, greeting = 'Hi') {
+    const message = greeting + ', ' + person.name;
+    let count = 0;
+    for (const letter of message) if (letter === 'a') count++;
+    return { message, count };
+}
+class Counter { #value = 0; increment(step) { this.#value += step; return this.#value; } }
+const result = greet({ name: 'Lana' });
+console.log(result.message, result.count, new Counter().increment(2));
+`;
+
+test('lexical scramble renames locals and keeps behaviour', async () => {
+    const { result } = await obfuscate(SAMPLE, { method: 'lexical-scramble', seed: 1 });
+    assert.doesNotMatch(result, /\bperson\b|\bletter\b|\bstep\b/);
+    assert.deepEqual(run(result).logs, run(SAMPLE).logs);
+});
+
+test('lexical scramble round-trips with its map', async () => {
+    const { result, map } = await obfuscate(SAMPLE, { method: 'lexical-scramble', seed: 1 });
+    const restored = await deobfuscate(result, { method: 'lexical-scramble', map });
+    assert.match(restored.result, /^function greet\(person,greeting='Hi'\)\{const message=greeting/);
+    assert.match(restored.result, /increment\(step\)\{this\.#value\+=step;/);
+    assert.deepEqual(run(restored.result).logs, run(SAMPLE).logs);
+});
+
+test('lexical scramble keeps block functions of strict code in their blocks', async () => {
+    const code = `(function () {
+        'use strict';
+        var calls = [];
+        { function pick() { return 1; } calls.push(pick()); }
+        { function pick() { return 2; } calls.push(pick()); }
+        var pick = 3;
+        return calls.concat(pick, typeof pick);
+    })()`;
+    const { result } = await obfuscate(code, { method: 'lexical-scramble', seed: 1 });
+    assert.equal(run(result).value, run(code).value);
+    assert.equal(new Set(result.match(/function (\w+)/g)).size, 2);
+});
+
+test('lexical scramble hoists block functions of sloppy scripts', async () => {
+    const code = `var calls = []; { function pick() { return 1; } } calls.push(pick()); calls`;
+    const { result } = await obfuscate(code, { method: 'lexical-scramble', seed: 1 });
+    assert.equal(run(result).value, run(code).value);
+});
+
+test('lexical scramble leaves names reachable by eval alone', async () => {
+    const code = `function f() { var secret = 4; return eval('secret'); } console.log(f());`;
+    const { result } = await obfuscate(code, { method: 'lexical-scramble', seed: 1 });
+    assert.match(result, /secret/);
+    assert.deepEqual(run(result).logs, ['4']);
+});
+
+test('lexical scramble: parameter defaults do not see the declarations of the function body', async () => {
+    const source = `
+var y = 3;
+function g(x = y) { let y = 5; return x + y; }
+function h(x = () => y) { var y = 7; return x() + y; }
+function k(x = 1, read = () => x) { var x = 2; return [x, read()]; }
+console.log(g(), h(), k().join());
+`;
+    const { result, map } = await obfuscate(source, { method: 'lexical-scramble', seed: 1 });
+    assert.deepEqual(run(source).logs, ['8 10 2,1']);
+    assert.deepEqual(run(result).logs, ['8 10 2,1']);
+    const restored = await deobfuscate(result, { method: 'lexical-scramble', map });
+    assert.deepEqual(run(restored.result).logs, run(source).logs);
+});
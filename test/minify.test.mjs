@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate } from '../index.mjs';
+import { run } from './helpers.mjs';
+
+test('minify drops whitespace and comments but keeps license comments', async () => {
+    const code = `/*! License v1 */\n// note\nconst  a = 1 ; /* inline */ const b = "  spaced  ";\nconsole.log(a, b);\n`;
+    const { result, stats } = await obfuscate(code, { method: 'minify' });
+    assert.equal(result, `/*! License v1 */\nconst a=1;const b="  spaced  ";console.log(a,b);`);
+    assert.equal(stats.skipped['license comments'], 1);
+    assert.deepEqual(run(result).logs, run(code).logs);
+});
+
+test('minify keeps line breaks that automatic semicolon insertion needs', async () => {
+    const code = `var a = 1\nvar b = a\n++a\nfunction f() { return\n42 }\nconsole.log(a, b, f())\nvar c = 1 - -1, d = a + +b\nconsole.log(c, d)`;
+    const { result } = await obfuscate(code, { method: 'minify' });
+    assert.deepEqual(run(result).logs, run(code).logs);
+    assert.match(result, /return\n42/);
+    assert.match(result, /1- -1/);
+});
+
+test('minify leaves strings, templates and regexes alone', async () => {
+    const code = 'const t = `a  ${ 1 + 1 }  b`;\nconst r = / +x/g;\nconsole.log(t, "x  y".replace(r, "_"))';
+    const { result } = await obfuscate(code, { method: 'minify' });
+    assert.match(result, /`a {2}\$\{1\+1\} {2}b`/);
+    assert.match(result, /\/ \+x\/g/);
+    assert.deepEqual(run(result).logs, run(code).logs);
+});
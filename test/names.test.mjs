@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import reservedNames from '../names.js';
+import { obfuscate } from '../index.mjs';
+import { run } from './helpers.mjs';
+
+test('parseList splits on commas and whitespace, but not inside a regex', () => {
+    assert.deepEqual(reservedNames.parseList('$, jQuery  api_*\n^on[A-Z]{1,3}$'), ['$', 'jQuery', 'api_*', '^on[A-Z]{1,3}$']);
+    assert.deepEqual(reservedNames.parseList('/^(a|b),c$/i, (get|set)_\\w{2,}, [ ,]x'), ['/^(a|b),c$/i', '(get|set)_\\w{2,}', '[ ,]x']);
+    assert.deepEqual(reservedNames.parseList(''), []);
+    assert.deepEqual(reservedNames.parseList(undefined), []);
+    const entries = ['a,b', /c/];
+    assert.equal(reservedNames.parseList(entries), entries);
+});
+
+test('presets keep the globals of their environment', () => {
+    const browser = reservedNames.create({ preset: 'browser' });
+    assert.deepEqual(['document', 'onclick', 'setTimeout', 'onClick', 'require'].map(browser), [true, true, true, false, false]);
+    const node = reservedNames.create({ preset: 'node' });
+    assert.deepEqual(['require', '__dirname', 'setImmediate', 'document'].map(node), [true, true, true, false]);
+    const worker = reservedNames.create({ preset: 'worker' });
+    assert.deepEqual(['postMessage', 'onmessage', 'window'].map(worker), [true, true, false]);
+    assert.equal(reservedNames.create()('document'), false);
+    assert.throws(() => reservedNames.create({ preset: 'deno' }), /Unknown name preset "deno"/);
+});
+
+test('the user list takes exact names, globs and regexes', () => {
+    const preserved = reservedNames.create({ preserve: 'keep, api_*, ?id, ^on[A-Z]{1,3}$, /^X$/i' });
+    const check = (names) => names.map(preserved);
+    assert.deepEqual(check(['keep', 'keeper']), [true, false]);
+    assert.deepEqual(check(['api_', 'api_get$', 'xapi_get']), [true, true, false]);
+    assert.deepEqual(check(['uid', 'id', 'guid']), [true, false, false]);
+    assert.deepEqual(check(['onA', 'onABC', 'onABCD', 'onclick']), [true, true, false, false]);
+    assert.deepEqual(check(['x', 'X', 'xx']), [true, true, false]);
+    assert.equal(reservedNames.create({ preserve: [/^tmp/] })('tmpName'), true);
+    assert.throws(() => reservedNames.create({ preserve: '^on[' }), /Invalid preserved name pattern "\^on\["/);
+});
+
+test('the config file round-trips and reports bad settings', () => {
+    const text = reservedNames.writeConfig({ preset: 'browser', preserve: '$, ^on[A-Z]{1,3}', renamePrivate: true });
+    assert.deepEqual(JSON.parse(text), { preset: 'browser', preserve: ['$', '^on[A-Z]{1,3}'], renamePrivate: true });
+    assert.deepEqual(reservedNames.readConfig(text), { preset: 'browser', preserve: '$, ^on[A-Z]{1,3}', renamePrivate: true });
+    assert.deepEqual(reservedNames.readConfig('{}'), { preset: 'none', preserve: '', renamePrivate: false });
+    assert.throws(() => reservedNames.readConfig('{'), /surxrat\.config\.json is not valid JSON/);
+    assert.throws(() => reservedNames.readConfig('[]'), /must hold an object/);
+    assert.throws(() => reservedNames.readConfig('{"preset": "deno"}'), /Unknown name preset/);
+});
+
+test('lexical scramble keeps preserved names and renames private properties only when asked', async () => {
+    const code = `(function () {
+        const onAB = 1, onABCD = 2, api_key = 3;
+        const store = { _cache: onAB + onABCD + api_key, _: 4 };
+        console.log(store._cache, store._);
+    })();`;
+    const options = { method: 'lexical-scramble', seed: 1, preserve: 'api_*, ^on[A-Z]{1,3}$' };
+    const kept = (await obfuscate(code, options)).result;
+    assert.match(kept, /\bonAB\b/);
+    assert.match(kept, /\bapi_key\b/);
+    assert.doesNotMatch(kept, /\bonABCD\b/);
+    assert.match(kept, /\b_cache\b/);
+    const renamed = (await obfuscate(code, { ...options, renamePrivate: true })).result;
+    assert.doesNotMatch(renamed, /\b_cache\b/);
+    assert.match(renamed, /\._\b/);
+    for (const output of [kept, renamed]) assert.deepEqual(run(output).logs, ['6 4']);
+});
@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate, deobfuscate } from '../index.mjs';
+import { run } from './helpers.mjs';
+
+const SAMPLE = `function label(count) { const word = count === 1 ? 'item' : 'items'; return count + ' ' + word; }\nconsole.log(label(1), label(3));`;
+const STEPS = [
+    { method: 'string-conceal', keyRef: 'strings' },
+    { method: 'lexical-scramble' },
+    { method: 'lana-vortex', keyRef: 'wrapper' }
+];
+
+test('a pipeline runs every step and keeps behaviour', async () => {
+    const { result } = await obfuscate(SAMPLE, { method: 'pipeline', key: 'shared-key', steps: STEPS, seed: 3 });
+    assert.ok(result.startsWith('(function(){var p='));
+    assert.deepEqual(run(result).logs, run(SAMPLE).logs);
+});
+
+test('a pipeline reverses with its manifest and keys', async () => {
+    const { result, map } = await obfuscate(SAMPLE, { method: 'pipeline', key: 'shared-key', steps: STEPS, seed: 3 });
+    const restored = await deobfuscate(result, { method: 'pipeline', map, keys: { strings: 'shared-key', wrapper: 'shared-key' } });
+    assert.match(restored.result, /function label\(count\)\{const word=/);
+    assert.deepEqual(run(restored.result).logs, run(SAMPLE).logs);
+});
+
+test('a pipeline refuses to reverse with a wrong key', async () => {
+    const { result, map } = await obfuscate(SAMPLE, { method: 'pipeline', key: 'shared-key', steps: STEPS, seed: 3 });
+    await assert.rejects(deobfuscate(result, { method: 'pipeline', map, key: 'other-key' }));
+});
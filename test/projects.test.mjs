@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+import projectStore from '../projects.js';
+
+const STEPS = [
+    { method: 'string-conceal', key: 'strings-secret', options: {} },
+    { method: 'lana-vortex', key: 'wrapper-secret', options: { mode: 'secure' } }
+];
+
+test('saved projects and runs keep the steps without their keys', async () => {
+    const id = await projectStore.saveProject({ name: '  Demo  ', source: 'x()', method: 'pipeline', steps: STEPS, seed: '7' });
+    const project = await projectStore.getProject(id);
+    assert.equal(project.name, 'Demo');
+    assert.deepEqual(project.steps, [{ method: 'string-conceal', options: {} }, { method: 'lana-vortex', options: { mode: 'secure' } }]);
+    assert.doesNotMatch(JSON.stringify(project), /secret/);
+
+    await projectStore.addRun(id, { method: 'pipeline', steps: STEPS, input: 'x()', output: 'y()' });
+    const [run] = await projectStore.listRuns(id);
+    assert.equal(run.output, 'y()');
+    assert.doesNotMatch(JSON.stringify(run), /secret/);
+    assert.deepEqual((await projectStore.listProjects()).map((entry) => entry.name), ['Demo']);
+
+    await projectStore.deleteProject(id);
+    await assert.rejects(projectStore.getProject(id), /does not exist/);
+    assert.deepEqual(await projectStore.listRuns(id), []);
+    await assert.rejects(projectStore.saveProject({ name: ' ', source: '' }), /needs a name/);
+});
+
+test('the keystore returns the keys with the right passphrase only', async () => {
+    const id = await projectStore.saveProject({ name: 'Keys', source: '', method: 'string-conceal' });
+    const keys = { key: 'kunci', stepKeys: ['a', 'b'] };
+    assert.equal(await projectStore.hasKeys(id), false);
+    await assert.rejects(projectStore.saveKeys(id, keys, ''), /passphrase is required/);
+    await projectStore.saveKeys(id, keys, 'correct horse');
+    assert.equal(await projectStore.hasKeys(id), true);
+
+    assert.deepEqual(await projectStore.loadKeys(id, 'correct horse'), keys);
+    await assert.rejects(projectStore.loadKeys(id, 'wrong horse'), /Wrong passphrase/);
+
+    await projectStore.deleteProject(id);
+    assert.equal(await projectStore.hasKeys(id), false);
+    await assert.rejects(projectStore.loadKeys(id, 'correct horse'), /no stored keys/);
+});
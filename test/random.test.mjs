@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate } from '../index.mjs';
+import mapContainer from '../container.js';
+
+const SAMPLE = `function label(count) {
+    const word = count === 1 ? 'item' : 'items';
+    return count + ' ' + word;
+}
+console.log(label(1), label(3));
+`;
+
+/**
+ * Obfuscates the sample twice with the same options and once with another seed.
+ * @param {object} options The options, including the seed.
+ * @returns {Promise<{first: object, second: object, other: object}>} The three outputs.
+ */
+async function outputs(options) {
+    const first = await obfuscate(SAMPLE, { sourceMap: true, ...options });
+    const second = await obfuscate(SAMPLE, { sourceMap: true, ...options });
+    const other = await obfuscate(SAMPLE, { sourceMap: true, ...options, seed: `${options.seed}-other` });
+    return { first, second, other };
+}
+
+/**
+ * Checks that two outputs are byte-identical: code, map and source map.
+ * @param {object} first The first output.
+ * @param {object} second The second output.
+ */
+function assertIdentical(first, second) {
+    assert.equal(second.result, first.result);
+    assert.equal(second.map, first.map);
+    assert.equal(second.sourceMap, first.sourceMap);
+}
+
+test('the same seed gives the same Lana-Vortex classic output', async () => {
+    const { first, second, other } = await outputs({ method: 'lana-vortex', key: 'k', seed: 11 });
+    assertIdentical(first, second);
+    assert.notEqual(other.result, first.result);
+});
+
+test('the same seed gives the same Lana-Vortex secure output', async () => {
+    const { first, second, other } = await outputs({ method: 'lana-vortex', mode: 'secure', key: 'k', seed: 11 });
+    assertIdentical(first, second);
+    assert.notEqual(other.result, first.result);
+    const unseeded = await obfuscate(SAMPLE, { method: 'lana-vortex', mode: 'secure', key: 'k' });
+    assert.notEqual(unseeded.result, (await obfuscate(SAMPLE, { method: 'lana-vortex', mode: 'secure', key: 'k' })).result);
+});
+
+test('the same seed gives the same Lexical Scramble output and rename map', async () => {
+    const { first, second } = await outputs({ method: 'lexical-scramble', seed: 11 });
+    assertIdentical(first, second);
+    const names = (output) => mapContainer.unwrap(output.map, 'lexical-scramble', output.result).data;
+    assert.deepEqual(names(second), names(first));
+    assert.deepEqual(names(first), { bindings: { a: 'count', b: 'word' }, properties: {} });
+});
+
+test('the same seed gives the same output from every step of a pipeline', async () => {
+    const steps = [
+        { method: 'string-conceal' },
+        { method: 'lexical-scramble' },
+        { method: 'minify' },
+        { method: 'lana-vortex' }
+    ];
+    const { first, second, other } = await outputs({ method: 'pipeline', key: 'k', steps, seed: 11 });
+    assertIdentical(first, second);
+    assert.notEqual(other.result, first.result);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import methodRegistry from '../registry.js';
+import { listMethods, obfuscate } from '../index.mjs';
+
+const handler = { encode: (code) => ({ result: code.toUpperCase(), map: '' }), decode: (code) => ({ result: code.toLowerCase(), map: '' }) };
+
+test('registerMethod fills in the defaults and the library picks the method up', async () => {
+    const method = methodRegistry.registerMethod({ id: 'test-upper', handler });
+    assert.deepEqual(
+        [method.label, method.requiresKey, method.canDeobfuscate, method.deobfuscateRequiresMap, method.reversible, method.version, method.options],
+        ['test-upper', false, false, false, false, 1, []]
+    );
+    assert.equal(methodRegistry.getMethod('test-upper'), method);
+    assert.ok(listMethods().includes('test-upper'));
+    assert.equal((await obfuscate('abc', { method: 'test-upper' })).result, 'ABC');
+    assert.throws(() => methodRegistry.getMethod('test-missing'), /Unknown method "test-missing"/);
+});
+
+test('registerMethod rejects a missing id, a duplicate id and a missing encode or decode', () => {
+    assert.throws(() => methodRegistry.registerMethod({ handler }), /needs a string id/);
+    assert.throws(() => methodRegistry.registerMethod({ id: 'lana-vortex', handler }), /already registered/);
+    assert.throws(() => methodRegistry.registerMethod({ id: 'test-no-encode', handler: {} }), /needs a handler with an encode function/);
+    assert.throws(() => methodRegistry.registerMethod({ id: 'test-no-decode', handler: { encode: handler.encode }, canDeobfuscate: true }),
+        /can deobfuscate but has no decode function/);
+    assert.ok(!listMethods().some((id) => id.startsWith('test-no-')));
+});
+
+test('registerMethod rejects a broken options schema', () => {
+    const register = (options) => () => methodRegistry.registerMethod({ id: 'test-options', handler, options });
+    assert.throws(register({}), /options as an array/);
+    assert.throws(register([{ type: 'text' }]), /Option 0 of method "test-options" needs a string name/);
+    assert.throws(register([{ name: 'a', type: 'text' }, { name: 'a', type: 'number' }]), /declares option "a" twice/);
+    assert.throws(register([{ name: 'a', type: 'slider' }]), /has type "slider"/);
+    assert.throws(register([{ name: 'a', type: 'select' }]), /needs choices/);
+    assert.throws(register([{ name: 'a', type: 'select', choices: [{ value: 'x' }], default: 'y' }]), /default "y" .* is not one of its choices/);
+    assert.ok(!listMethods().includes('test-options'));
+});
+
+test('defaultOptions collects the defaults of a schema', () => {
+    methodRegistry.registerMethod({
+        id: 'test-defaults',
+        handler,
+        options: [
+            { name: 'mode', label: 'Mode', type: 'select', default: 'b', choices: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }] },
+            { name: 'strict', label: 'Strict', type: 'checkbox', default: false },
+            { name: 'note', label: 'Note', type: 'text' }
+        ]
+    });
+    assert.deepEqual(methodRegistry.defaultOptions('test-defaults'), { mode: 'b', strict: false });
+    assert.deepEqual(methodRegistry.defaultOptions('lana-vortex'), { mode: 'classic' });
+});
+
+test('onRegister tells listeners about methods registered later, once each', () => {
+    const seen = [];
+    methodRegistry.onRegister((method) => seen.push(method.id));
+    methodRegistry.registerMethod({ id: 'test-listened', handler });
+    assert.throws(() => methodRegistry.registerMethod({ id: 'test-listened', handler }));
+    assert.deepEqual(seen, ['test-listened']);
+});
@@ -0,0 +1,133 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+import obfuscationReport from '../report.js';
+import { obfuscate } from '../index.mjs';
+
+test('sizes count UTF-8 bytes, plain and gzipped', async () => {
+    assert.equal(obfuscationReport.byteLength(''), 0);
+    assert.equal(obfuscationReport.byteLength('héllo'), 6);
+    assert.equal(obfuscationReport.byteLength('😀'), 4);
+    for (const text of ['', 'hello hello hello', 'const x = "é";\n'.repeat(50)]) {
+        assert.equal(await obfuscationReport.gzipSize(text), gzipSync(text).length);
+    }
+});
+
+test('entropy is the Shannon entropy of the bytes, in bits per byte', () => {
+    assert.equal(obfuscationReport.entropy(''), 0);
+    assert.equal(obfuscationReport.entropy('aaaa'), 0);
+    assert.equal(obfuscationReport.entropy('abab'), 1);
+    assert.equal(obfuscationReport.entropy('abcd'), 2);
+    assert.equal(obfuscationReport.entropy('aab'), 0.918); // -(2/3 log2 2/3 + 1/3 log2 1/3), rounded
+    assert.equal(obfuscationReport.entropy('é'), 1); // Two distinct UTF-8 bytes
+});
+
+test('build measures both sides and adds up the counts of every step by method', async () => {
+    const report = await obfuscationReport.build({
+        method: 'pipeline',
+        input: 'abcd',
+        output: 'aaaaaaaa',
+        durationMs: 12.345,
+        stats: [
+            { method: 'string-conceal', transformed: { strings: 2 }, skipped: {} },
+            { method: 'lexical-scramble', transformed: { bindings: 3 }, skipped: { globals: 1 } },
+            { method: 'string-conceal', transformed: { strings: 1, 'template parts': 4 } }
+        ]
+    });
+    assert.deepEqual(report, {
+        format: 'surxrat-report',
+        version: 1,
+        method: 'pipeline',
+        input: { bytes: 4, gzipBytes: gzipSync('abcd').length, entropy: 2 },
+        output: { bytes: 8, gzipBytes: gzipSync('aaaaaaaa').length, entropy: 0 },
+        durationMs: 12.35,
+        methods: [
+            { method: 'string-conceal', transformed: { strings: 3, 'template parts': 4 }, skipped: {} },
+            { method: 'lexical-scramble', transformed: { bindings: 3 }, skipped: { globals: 1 } }
+        ],
+        overhead: null
+    });
+    const single = await obfuscationReport.build({ method: 'minify', input: '', output: '', stats: { transformed: { comments: 1 } } });
+    assert.equal(single.durationMs, null);
+    assert.deepEqual(single.methods, [{ method: 'minify', transformed: { comments: 1 }, skipped: {} }]);
+});
+
+test('build estimates the load overhead of a self-decoding wrapper', async () => {
+    const input = 'console.log("x");';
+    const { result, stats } = await obfuscate(input, { method: 'lana-vortex', key: 'k', seed: 1 });
+    const timed = await obfuscationReport.build({ method: 'lana-vortex', input, output: result, stats, key: 'k' });
+    assert.equal(timed.overhead.method, 'lana-vortex');
+    assert.equal(timed.overhead.mode, 'classic');
+    assert.equal(timed.overhead.runs, 'new Function');
+    assert.ok(timed.overhead.parseMs >= 0 && timed.overhead.decodeMs >= 0);
+    assert.equal(timed.overhead.note, undefined);
+
+    const keyless = await obfuscationReport.build({ method: 'lana-vortex', input, output: result, stats });
+    assert.equal(keyless.overhead.decodeMs, null);
+    assert.match(keyless.overhead.note, /needs the key/);
+    const secure = await obfuscate(input, { method: 'lana-vortex', mode: 'secure', key: 'k', seed: 1 });
+    const wrongKey = await obfuscationReport.build({ method: 'lana-vortex', input, output: secure.result, stats: secure.stats, key: 'wrong' });
+    assert.equal(wrongKey.overhead.mode, 'secure');
+    assert.match(wrongKey.overhead.note, /could not be decoded/);
+    const broken = await obfuscationReport.build({ method: 'lana-vortex', input, output: 'function (', stats, key: 'k' });
+    assert.match(broken.overhead.note, /could not be compiled/);
+    assert.equal((await obfuscationReport.build({ method: 'lana-vortex', input, output: result, stats, overhead: false })).overhead, null);
+});
+
+test('combine totals the files and keeps their reports', () => {
+    const file = (bytes, gzipBytes, durationMs, strings) => ({
+        input: { bytes: bytes * 2, gzipBytes: gzipBytes && gzipBytes * 2, entropy: 4 },
+        output: { bytes, gzipBytes, entropy: 5 },
+        durationMs,
+        methods: [{ method: 'string-conceal', transformed: { strings }, skipped: {} }]
+    });
+    const reports = { 'a.js': file(100, 40, 1.25, 2), 'b.js': file(50, 30, null, 3) };
+    assert.deepEqual(obfuscationReport.combine('string-conceal', reports), {
+        format: 'surxrat-report',
+        version: 1,
+        method: 'string-conceal',
+        input: { bytes: 300, gzipBytes: 140 },
+        output: { bytes: 150, gzipBytes: 70 },
+        durationMs: 1.25,
+        methods: [{ method: 'string-conceal', transformed: { strings: 5 }, skipped: {} }],
+        files: reports
+    });
+    const ungzipped = obfuscationReport.combine('string-conceal', { ...reports, 'c.js': file(10, null, null, 0) });
+    assert.deepEqual([ungzipped.input.gzipBytes, ungzipped.output.gzipBytes, ungzipped.output.bytes], [null, null, 160]);
+    assert.equal(obfuscationReport.combine('minify', { 'c.js': file(10, null, null, 0) }).durationMs, null);
+});
+
+test('format writes sizes, changes, counts and the load overhead', () => {
+    const report = {
+        method: 'lana-vortex',
+        input: { bytes: 1000, gzipBytes: 400, entropy: 4.5 },
+        output: { bytes: 1352, gzipBytes: 380, entropy: 5.98765 },
+        durationMs: 3.5,
+        methods: [{ method: 'lana-vortex', transformed: { fragments: 1200, empty: 0 }, skipped: { comments: 0 } }],
+        overhead: { method: 'lana-vortex', mode: 'classic', runs: 'new Function', parseMs: 0.12, decodeMs: null, note: 'The decode time needs the key used to obfuscate.' }
+    };
+    assert.equal(obfuscationReport.format(report), [
+        'Method: lana-vortex',
+        'Input: 1,000 bytes, gzip 400 bytes, entropy 4.50 bits/byte',
+        'Output: 1,352 bytes (+35.2%), gzip 380 bytes (-5.0%), entropy 5.99 bits/byte',
+        'Time: 3.5 ms',
+        'lana-vortex transformed: fragments 1,200',
+        'Load overhead of the lana-vortex (classic) wrapper, estimated on this machine: 0.12 ms to parse the wrapper, before the code runs through new Function.',
+        'Load overhead: The decode time needs the key used to obfuscate.'
+    ].join('\n'));
+
+    const combined = {
+        method: 'minify',
+        input: { bytes: 0, gzipBytes: null },
+        output: { bytes: 0, gzipBytes: null },
+        durationMs: null,
+        methods: [{ method: 'minify', transformed: {}, skipped: { 'license comments': 2 } }],
+        files: { 'a.js': {} }
+    };
+    assert.equal(obfuscationReport.format(combined), [
+        'Method: minify (1 file)',
+        'Input: 0 bytes',
+        'Output: 0 bytes',
+        'minify transformed: nothing; kept: license comments 2'
+    ].join('\n'));
+});
@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import reviewStore from '../reviews.js';
+import { startServer } from '../review-server.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+const review = (rating, createdAt = 0, text = `review ${rating}`) => ({ id: `r${rating}-${createdAt}`, text, rating, createdAt, status: 'approved' });
+
+/**
+ * A localStorage stand-in.
+ * @returns {{getItem: function(string): (string|null), setItem: function(string, string): void}} The storage area.
+ */
+function createStorageArea() {
+    const items = new Map();
+    return { getItem: (key) => (items.has(key) ? items.get(key) : null), setItem: (key, value) => items.set(key, String(value)) };
+}
+
+test('validate checks the text and the rating', () => {
+    assert.deepEqual(reviewStore.validate({ text: '  bagus  ', rating: '80' }), { text: 'bagus', rating: 80 });
+    assert.throws(() => reviewStore.validate({ text: '', rating: 50 }));
+    assert.throws(() => reviewStore.validate({ text: 'x'.repeat(501), rating: 50 }));
+    for (const rating of [0, 101, 37.5, 'abc']) assert.throws(() => reviewStore.validate({ text: 'ok', rating }), /whole number/);
+});
+
+test('summarize counts the reviews and averages their ratings', () => {
+    assert.deepEqual(reviewStore.summarize([]), { count: 0, average: 0 });
+    assert.deepEqual(reviewStore.summarize([{ rating: 90 }, { rating: 45 }, { rating: 70 }]), { count: 3, average: 68.3 });
+});
+
+test('memory and local storage keep what was added', async () => {
+    const area = createStorageArea();
+    for (const storage of [reviewStore.createMemoryStorage(), reviewStore.createLocalStorage(area)]) {
+        const added = await storage.add({ text: 'Mantap', rating: 90 });
+        assert.equal(typeof added.id, 'string');
+        assert.deepEqual((await storage.list()).map(({ text, rating }) => [text, rating]), [['Mantap', 90]]);
+        await assert.rejects(storage.add({ text: 'Mantap', rating: 0 }));
+    }
+    assert.equal((await reviewStore.createLocalStorage(area).list()).length, 1);
+    area.setItem('lanavyn-reviews', '{not json');
+    assert.deepEqual(await reviewStore.createLocalStorage(area).list(), []);
+});
+
+test('REST storage talks to the review server, which keeps its data file', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'surxrat-reviews-'));
+    const data = path.join(directory, 'reviews.json');
+    let server = await startServer({ port: 0, data });
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/api/reviews`;
+        const storage = reviewStore.createRestStorage(url);
+        await storage.add({ text: 'Keren', rating: 70 });
+        assert.deepEqual((await storage.list()).map(({ text, rating }) => [text, rating]), [['Keren', 70]]);
+
+        const invalid = await fetch(url, { method: 'POST', body: JSON.stringify({ text: 'ok', rating: 500 }) });
+        assert.equal(invalid.status, 400);
+        assert.match((await invalid.json()).error, /whole number/);
+        assert.equal((await fetch(url, { method: 'POST', body: '{' })).status, 400);
+        assert.equal((await fetch(url, { method: 'DELETE' })).status, 405);
+        assert.equal((await fetch(url.replace('/api/reviews', '/package.json'))).status, 404);
+
+        assert.equal(JSON.parse(await readFile(data, 'utf8')).length, 1);
+        await new Promise((resolve) => server.close(resolve));
+        server = await startServer({ port: 0, data });
+        const reopened = reviewStore.createRestStorage(`http://127.0.0.1:${server.address().port}/api/reviews`);
+        assert.equal((await reopened.list()).length, 1);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+        await rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('REST storage reports a server that cannot be reached', async () => {
+    const storage = reviewStore.createRestStorage('http://reviews.invalid/api', { fetch: async () => { throw new Error('offline'); } });
+    await assert.rejects(storage.list(), /cannot be reached: offline/);
+});
+
+test('stored reviews with a bad rating are dropped, and the histogram skips them', async () => {
+    const storage = reviewStore.createMemoryStorage([review(0), review(150), review(37.5), review(42), { ...review(7), status: undefined }]);
+    const reviews = await storage.list();
+    assert.deepEqual(reviews.map((entry) => [entry.rating, entry.status]), [[42, 'approved'], [7, 'approved']]);
+    const bands = reviewStore.histogram([...reviews, review(150)]);
+    assert.equal(bands.length, 10);
+    assert.deepEqual(bands.filter((band) => band.count).map(({ from, count }) => [from, count]), [[1, 1], [41, 1]]);
+});
+
+test('trend has one entry per calendar day across a DST change', () => {
+    const zone = process.env.TZ;
+    process.env.TZ = 'Europe/Berlin';
+    try {
+        const now = new Date(2026, 2, 30, 0, 30).getTime();
+        const series = reviewStore.trend([review(60, now), review(80, now - 2 * DAY + 2 * 60 * 60 * 1000)], { days: 3, now });
+        assert.deepEqual(series, [
+            { date: '2026-03-28', count: 1, average: 80 },
+            { date: '2026-03-29', count: 0, average: null },
+            { date: '2026-03-30', count: 1, average: 60 }
+        ]);
+    } finally {
+        if (zone === undefined) delete process.env.TZ;
+        else process.env.TZ = zone;
+    }
+});
+
+test('sortReviews and paginate order and cut the list', () => {
+    const reviews = [review(50, 1), review(90, 2), review(10, 3)];
+    assert.deepEqual(reviewStore.sortReviews(reviews, 'highest').map((entry) => entry.rating), [90, 50, 10]);
+    assert.deepEqual(reviewStore.sortReviews(reviews, 'oldest').map((entry) => entry.rating), [50, 90, 10]);
+    assert.throws(() => reviewStore.sortReviews(reviews, 'random'), /Unknown sort order/);
+    const page = reviewStore.paginate(reviews, 9, 2);
+    assert.deepEqual([page.page, page.pageCount, page.items.length], [2, 2, 1]);
+});
+
+test('the rate limiter allows a number of reviews per window', () => {
+    const limiter = reviewStore.createRateLimiter({ limit: 2, windowMs: 1000 });
+    limiter.hit('a', 0);
+    limiter.hit('a', 100);
+    assert.throws(() => limiter.hit('a', 200), (e) => e.code === 'rate-limited' && e.retryAfterMs === 800);
+    limiter.hit('b', 200);
+    limiter.hit('a', 1000);
+});
+
+test('moderated storage rejects duplicates and holds blocked words', async () => {
+    const storage = reviewStore.createModeratedStorage(reviewStore.createMemoryStorage(), { rateLimiter: reviewStore.createRateLimiter({ limit: 10 }) });
+    assert.equal((await storage.add({ text: 'Mantap sekali', rating: 90 })).status, 'approved');
+    await assert.rejects(storage.add({ text: 'mantap, SEKALI!', rating: 10 }), (e) => e.code === 'duplicate');
+    assert.equal((await storage.add({ text: 'dasar g0bl0k', rating: 1 })).status, 'pending');
+    assert.equal((await storage.list({ status: 'approved' })).length, 1);
+});
+
+test('the server applies the abuse controls and moderation', async () => {
+    const server = await startServer({ port: 0, moderatorToken: 'secret', rateLimit: 2 });
+    try {
+        const base = `http://127.0.0.1:${server.address().port}/api/reviews`;
+        const post = (body) => fetch(base, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        const patch = (id, body, token) => fetch(`${base}/${id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(body)
+        });
+
+        assert.equal((await post({ text: 'Keren', rating: 70 })).status, 201);
+        assert.equal((await post({ text: 'keren!', rating: 70 })).status, 409);
+        const held = await post({ text: 'kampret', rating: 5 });
+        assert.equal(held.status, 201);
+        const { id } = await held.json();
+        const limited = await post({ text: 'Satu lagi', rating: 60 });
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+
+        assert.equal((await fetch(`${base}?status=pending`)).status, 401);
+        assert.equal((await patch(id, { status: 'approved' })).status, 401);
+        assert.equal((await patch(id, { status: 'approved' }, 'wrong')).status, 401);
+        assert.equal((await patch('%E0%A4%A', { status: 'approved' }, 'secret')).status, 404);
+        assert.equal((await patch('missing', { status: 'approved' }, 'secret')).status, 404);
+        const approved = await patch(id, { status: 'approved' }, 'secret');
+        assert.equal(approved.status, 200);
+        assert.equal((await approved.json()).status, 'approved');
+        assert.equal((await (await fetch(base)).json()).length, 2);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+});
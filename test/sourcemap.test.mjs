@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate } from '../index.mjs';
+import mapContainer from '../container.js';
+
+const SAMPLE = `// Adds things up.
+function sum(values) {
+    let total = 0;
+    for (const value of values) total += value;
+    return total;
+}
+console.log('sum', sum([1, 2, 3]));
+`;
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decodes the `mappings` of a Source Map v3 into absolute positions.
+ * @param {{mappings: string, names: string[]}} map The source map.
+ * @returns {Array<{line: number, column: number, originalLine: number, originalColumn: number, name?: string}>} Every segment.
+ */
+function decodeMappings(map) {
+    const segments = [];
+    const state = [0, 0, 0, 0];
+    map.mappings.split(';').forEach((line, lineIndex) => {
+        let column = 0;
+        for (const text of line.split(',').filter(Boolean)) {
+            const values = [];
+            for (let i = 0, value = 0, shift = 0; i < text.length; i++) {
+                const digit = BASE64_DIGITS.indexOf(text[i]);
+                value += (digit & 31) << shift;
+                shift += 5;
+                if (digit & 32) continue;
+                values.push(value & 1 ? -(value >> 1) : value >> 1);
+                value = shift = 0;
+            }
+            column += values[0];
+            for (let i = 1; i < values.length; i++) state[i - 1] += values[i];
+            const segment = { line: lineIndex, column, originalLine: state[1], originalColumn: state[2] };
+            if (values.length > 4) segment.name = map.names[state[3]];
+            segments.push(segment);
+        }
+    });
+    return segments;
+}
+
+/**
+ * Reads the text at a zero-based line and column.
+ * @param {string} code The code.
+ * @param {number} line The line.
+ * @param {number} column The column.
+ * @returns {string} The rest of that line.
+ */
+function textAt(code, line, column) {
+    return code.split('\n')[line].slice(column);
+}
+
+async function generate(method, options = {}) {
+    const output = await obfuscate(SAMPLE, { method, sourceMap: true, sourceFileName: 'sum.js', outputFileName: 'sum.obf.js', seed: 4, ...options });
+    const map = JSON.parse(output.sourceMap);
+    assert.equal(map.version, 3);
+    assert.deepEqual(map.sources, ['sum.js']);
+    assert.equal(map.sourcesContent[0], SAMPLE);
+    return { ...output, segments: decodeMappings(map), names: map.names };
+}
+
+test('lexical scramble maps every renamed identifier to its original name and position', async () => {
+    const { result, map, segments, names } = await generate('lexical-scramble');
+    const renamed = mapContainer.unwrap(map, 'lexical-scramble', result).data;
+    // `sum` is a global of the script, so it keeps its name.
+    assert.deepEqual(names, ['values', 'total', 'value']);
+    const named = segments.filter((segment) => segment.name);
+    assert.equal(named.length, 7);
+    for (const segment of named) {
+        const generatedName = textAt(result, segment.line, segment.column).match(/^[\w$]+/)[0];
+        assert.equal(renamed.bindings[generatedName], segment.name);
+        assert.ok(textAt(SAMPLE, segment.originalLine, segment.originalColumn).startsWith(segment.name));
+    }
+});
+
+test('minify maps the tokens it keeps to where they were', async () => {
+    const { result, segments } = await generate('minify');
+    const kept = segments.filter((segment) => /^[\w$]/.test(textAt(result, segment.line, segment.column)));
+    assert.ok(kept.length >= 10);
+    for (const segment of kept) {
+        const token = textAt(result, segment.line, segment.column).match(/^[\w$]+/)[0];
+        assert.ok(textAt(SAMPLE, segment.originalLine, segment.originalColumn).startsWith(token), token);
+    }
+    const call = kept.find((segment) => textAt(result, segment.line, segment.column).startsWith('console'));
+    assert.deepEqual([call.originalLine, call.originalColumn], [6, 0]);
+});
+
+test('string conceal maps each concealed string to its literal', async () => {
+    const { result, segments } = await generate('string-conceal', { key: 'k' });
+    const literal = segments.find((segment) => textAt(SAMPLE, segment.originalLine, segment.originalColumn).startsWith("'sum'"));
+    assert.ok(literal);
+    assert.doesNotMatch(textAt(result, literal.line, literal.column), /^'sum'/);
+    const call = segments.find((segment) => textAt(SAMPLE, segment.originalLine, segment.originalColumn).startsWith('console'));
+    assert.ok(textAt(result, call.line, call.column).startsWith('console'));
+});
+
+test('lana-vortex maps the whole wrapper to the start of the source', async () => {
+    const { segments } = await generate('lana-vortex', { key: 'k' });
+    assert.deepEqual(segments.map(({ line, column, originalLine, originalColumn }) => [line, column, originalLine, originalColumn]), [[0, 0, 0, 0]]);
+});
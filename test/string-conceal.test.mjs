@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate, deobfuscate } from '../index.mjs';
+import { run } from './helpers.mjs';
+
+const SAMPLE = `'use strict';
+const name = "Lana";
+const escapes = 'tab\\tquote\\' newline\\n unicode \\u00e9 ✓ 😀';
+const greeting = \`Hello, \${name}! Line\\nbreak\`;
+const keyed = { 'quoted key': 1, plain: 'value' };
+const tagged = String.raw\`raw\\n\${name}\`;
+console.log(greeting, escapes, keyed['quoted key'], keyed.plain, tagged, /"regex"/.source);
+`;
+
+test('string conceal hides strings and keeps behaviour', async () => {
+    const { result, stats } = await obfuscate(SAMPLE, { method: 'string-conceal', key: 'k3y', seed: 7 });
+    assert.doesNotMatch(result, /"Lana"|Hello|value/);
+    assert.match(result, /^'use strict';/);
+    assert.ok(stats.transformed.strings > 0);
+    assert.deepEqual(run(result).logs, run(SAMPLE).logs);
+});
+
+test('string conceal round-trips to the exact original', async () => {
+    const { result, map } = await obfuscate(SAMPLE, { method: 'string-conceal', key: 'k3y', seed: 7 });
+    const restored = await deobfuscate(result, { method: 'string-conceal', map });
+    assert.equal(restored.result, SAMPLE);
+});
+
+test('string conceal gives the same output for the same seed', async () => {
+    const first = await obfuscate(SAMPLE, { method: 'string-conceal', key: 'k3y', seed: 7 });
+    const second = await obfuscate(SAMPLE, { method: 'string-conceal', key: 'k3y', seed: 7 });
+    assert.equal(first.result, second.result);
+});
+
+test('string conceal draws new names when the code already uses them', async () => {
+    const code = 'console.log("first", 1);';
+    const { map } = await obfuscate(code, { method: 'string-conceal', key: 'k3y', seed: 7 });
+    const { array, decoder } = JSON.parse(map).data;
+    const clashing = `var ${array} = 'mine'; function ${decoder}() { return 'also mine'; }\nconsole.log("first", ${array}, ${decoder}());`;
+    const { result, map: clashingMap } = await obfuscate(clashing, { method: 'string-conceal', key: 'k3y', seed: 7 });
+    const names = JSON.parse(clashingMap).data;
+    assert.notEqual(names.array, array);
+    assert.notEqual(names.decoder, decoder);
+    assert.deepEqual(run(result).logs, ['first mine also mine']);
+});
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { obfuscate, verify } from '../index.mjs';
+
+// The test file runs in its own process, which only ends once nothing is left running: a sandbox
+// that outlived `verify` would hang it.
+const OPTIONS = { timeout: 300 };
+
+test('verify passes obfuscated code that behaves the same', async () => {
+    const code = `function sum(list) { return list.reduce((a, b) => a + b, 0); }\nconsole.log('sum', sum([1, 2, 3])); ({ total: sum([4]) })`;
+    const { result } = await obfuscate(code, { method: 'lexical-scramble', seed: 1 });
+    const report = await verify(code, result, OPTIONS);
+    assert.equal(report.equivalent, true, report.differences.join('\n'));
+    assert.deepEqual(report.original.logs, [{ level: 'log', text: 'sum 6' }]);
+    assert.equal(report.original.returnValue, '{total: 4}');
+});
+
+test('verify reports differing output, return values and errors', async () => {
+    const report = await verify(`console.log(1); 2`, `console.log(3); throw new TypeError('no')`, OPTIONS);
+    assert.equal(report.equivalent, false);
+    assert.deepEqual(report.differences, [
+        'Console output #1: original [log] 1, obfuscated [log] 3',
+        'Return value: original 2, obfuscated undefined',
+        'Error: original (none), obfuscated TypeError: no'
+    ]);
+});
+
+test('verify stops code that never settles and leaves no timers behind', { timeout: 10000 }, async () => {
+    const report = await verify('setInterval(() => {}, 100); new Promise(() => {})', 'new Promise(() => {})', OPTIONS);
+    assert.equal(report.original.timedOut, true);
+    assert.equal(report.equivalent, true);
+});
+
+test('verify stops an endless loop in a timer callback', { timeout: 10000 }, async () => {
+    const started = Date.now();
+    const report = await verify('setTimeout(() => { while (true) {} }, 0)', '1', OPTIONS);
+    assert.equal(report.original.timedOut, true);
+    assert.equal(report.equivalent, false);
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('the sandbox has no access to Node', async () => {
+    const report = await verify('typeof process + " " + typeof require', '""', OPTIONS);
+    assert.equal(report.original.returnValue, '"undefined undefined"');
+});
+
+test('the sandbox globals lead nowhere near Node', async () => {
+    const escapes = {
+        console: 'console.constructor.constructor',
+        log: 'console.log.constructor',
+        timer: 'setTimeout.constructor',
+        crypto: 'crypto.constructor.constructor',
+        subtle: 'crypto.subtle.digest.constructor',
+        encoded: 'new TextEncoder().encode("a").constructor.constructor',
+        atob: 'atob.constructor',
+        microtask: 'queueMicrotask.constructor',
+        digest: '(await crypto.subtle.digest("SHA-256", new Uint8Array(1))).constructor.constructor',
+        prototype: 'Object.getPrototypeOf(console).constructor.constructor'
+    };
+    const code = `(async () => {
+        const found = {};
+        for (const [name, path] of Object.entries(${JSON.stringify(escapes)})) {
+            try {
+                const make = await new (Object.getPrototypeOf(async () => {}).constructor)('return ' + path)();
+                found[name] = make('return typeof process')();
+            } catch (error) {
+                found[name] = error.name;
+            }
+        }
+        try {
+            (function deep() { deep(); })();
+        } catch (error) {
+            found.overflow = error.constructor.constructor('return typeof process')();
+        }
+        let bridgeError = null;
+        (function deep() {
+            try {
+                deep();
+            } catch (e) {
+                try { atob('YQ=='); } catch (error) { bridgeError = bridgeError || error; }
+            }
+        })();
+        found.bridgeOverflow = bridgeError ? bridgeError.constructor.constructor('return typeof process')() : 'no error';
+        return found;
+    })()`;
+    const report = await verify(code, '1', OPTIONS);
+    assert.equal(report.original.error, null);
+    const found = Function(`return ${report.original.returnValue}`.replace(/(\w+):/g, '"$1":'))();
+    for (const [name, type] of Object.entries(found)) assert.equal(type, 'undefined', name);
+    assert.equal(Object.keys(found).length, Object.keys(escapes).length + 2);
+});
+
+test('verify runs Lana-Vortex secure output with the passphrase through the sandbox crypto', async () => {
+    const code = `console.log('secret', [1, 2].map((n) => n * 3).join());`;
+    const { result } = await obfuscate(code, { method: 'lana-vortex', mode: 'secure', key: 'kunci' });
+    const report = await verify(code, result, { ...OPTIONS, timeout: 5000, passphrase: 'kunci' });
+    assert.equal(report.equivalent, true, report.differences.join('\n'));
+    assert.deepEqual(report.obfuscated.logs, [{ level: 'log', text: 'secret 3,6' }]);
+});
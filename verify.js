@@ -0,0 +1,517 @@
+/*
+ * File: verify.js
+ * Behavioural equivalence check: runs the original and the obfuscated code in isolated sandboxes
+ * and compares what they do. The browser runs each side in its own Web Worker; Node uses a fresh
+ * `vm` context inside a worker thread, whose globals are built inside the context so that none of
+ * the worker's objects can lead the code back to Node. Either way the worker is terminated once the
+ * run is over, so leftover timers or endless loops never outlive `verify`. Neither sandbox has a
+ * DOM, so code that needs one fails the same way on both sides; the Node sandbox has no `URL` either.
+ */
+const verifier = (() => {
+    const DEFAULT_TIMEOUT = 5000;
+    const SETTLE_MS = 50; // Time given to pending timers once the code has finished
+
+    /**
+     * Runs inside the sandbox: captures console output, runs the code as a classic script and posts
+     * the outcome. Keep it self-contained, as it is injected as source text.
+     * @param {string} code The code to run.
+     * @param {string} passphrase Exposed as `globalThis.lanaVortexPassphrase`, so Lana-Vortex secure mode does not prompt.
+     * @param {number} settleMs How long to wait for timers after the code has finished.
+     * @param {function(object): void} post Receives `{type: 'log', level, text}`, `{type: 'error', error}` and finally `{type: 'done', returnValue, error}`.
+     */
+    function harness(code, passphrase, settleMs, post) {
+        const tag = (value) => Object.prototype.toString.call(value).slice(8, -1);
+        const describe = (value, depth = 0, seen = new Set()) => {
+            if (typeof value === 'string') return JSON.stringify(value);
+            if (typeof value === 'number') return Object.is(value, -0) ? '-0' : String(value);
+            if (typeof value === 'bigint') return `${value}n`;
+            if (typeof value === 'symbol') return value.toString();
+            if (typeof value === 'function') return '[Function]'; // Names are what renaming changes
+            if (value === null || typeof value !== 'object') return String(value);
+            if (seen.has(value)) return '[Circular]';
+            const type = tag(value);
+            if (type === 'Error') return `${value.name}: ${value.message}`;
+            if (type === 'Date') return isNaN(value) ? 'Invalid Date' : value.toISOString();
+            if (type === 'RegExp') return String(value);
+            if (type === 'Promise') return 'Promise';
+            if (depth > 3) return `[${type}]`;
+            seen.add(value);
+            const inner = (item) => describe(item, depth + 1, seen);
+            let text;
+            if (Array.isArray(value)) {
+                text = `[${value.map(inner).join(', ')}]`;
+            } else if (type === 'Map') {
+                text = `Map {${[...value].map(([k, v]) => `${inner(k)} => ${inner(v)}`).join(', ')}}`;
+            } else if (type === 'Set') {
+                text = `Set {${[...value].map(inner).join(', ')}}`;
+            } else {
+                text = `{${Object.keys(value).map((key) => `${key}: ${inner(value[key])}`).join(', ')}}`;
+            }
+            seen.delete(value);
+            return text;
+        };
+        const describeError = (error) => (error && typeof error === 'object' && 'message' in error)
+            ? `${error.name}: ${error.message}`
+            : `Uncaught ${describe(error)}`;
+
+        ['log', 'info', 'warn', 'error', 'debug'].forEach((level) => {
+            console[level] = (...args) => post({
+                type: 'log',
+                level,
+                text: args.map((arg) => typeof arg === 'string' ? arg : describe(arg)).join(' ')
+            });
+        });
+
+        // Timer callbacks report their errors instead of crashing the host, and are cleared at the end.
+        // Ids are plain numbers on every host (Node returns objects), so they compare equal.
+        const timers = new Map();
+        const [nativeSetTimeout, nativeSetInterval, nativeClearTimeout, nativeClearInterval] = [setTimeout, setInterval, clearTimeout, clearInterval];
+        let nextTimerId = 1;
+        const guard = (callback, args) => {
+            try {
+                if (typeof callback === 'function') callback(...args);
+            } catch (error) {
+                post({ type: 'error', error: describeError(error) });
+            }
+        };
+        globalThis.setTimeout = (callback, ms, ...args) => {
+            const id = nextTimerId++;
+            timers.set(id, nativeSetTimeout(() => { timers.delete(id); guard(callback, args); }, ms));
+            return id;
+        };
+        globalThis.setInterval = (callback, ms, ...args) => {
+            const id = nextTimerId++;
+            timers.set(id, nativeSetInterval(() => guard(callback, args), ms));
+            return id;
+        };
+        globalThis.clearTimeout = globalThis.clearInterval = (id) => {
+            nativeClearTimeout(timers.get(id));
+            nativeClearInterval(timers.get(id));
+            timers.delete(id);
+        };
+        if (typeof addEventListener === 'function') {
+            addEventListener('unhandledrejection', (event) => post({ type: 'error', error: describeError(event.reason) }));
+        }
+        if (passphrase) globalThis.lanaVortexPassphrase = passphrase;
+
+        const finish = (returnValue, error) => nativeSetTimeout(() => {
+            timers.forEach((handle) => { nativeClearTimeout(handle); nativeClearInterval(handle); });
+            post({ type: 'done', returnValue, error });
+        }, settleMs);
+
+        let completion;
+        try {
+            completion = (0, eval)(code); // Indirect eval: global scope, and the script's completion value
+        } catch (error) {
+            finish('undefined', describeError(error));
+            return;
+        }
+        if (completion && typeof completion.then === 'function') {
+            completion.then((value) => finish(describe(value), null), (error) => finish('undefined', describeError(error)));
+        } else {
+            finish(describe(completion), null);
+        }
+    }
+
+    /**
+     * @typedef {object} SandboxRun
+     * @property {Array<{level: string, text: string}>} logs Console output, in order.
+     * @property {string} returnValue The script's completion value (awaited if it is a promise), described as text.
+     * @property {string|null} error The error the code threw, if any, as `Name: message`.
+     * @property {boolean} timedOut Whether the code did not finish in time.
+     */
+
+    /**
+     * Runs code in a Web Worker, which is terminated afterwards (even if the code never ends).
+     * @param {string} code The code.
+     * @param {{timeout: number, passphrase?: string}} options Sandbox options.
+     * @returns {Promise<SandboxRun>} What the code did.
+     */
+    function runInWorker(code, options) {
+        const source = `onmessage = (e) => (${harness})(e.data.code, e.data.passphrase, e.data.settleMs, (message) => postMessage(message));`;
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        const worker = new Worker(url);
+        const run = { logs: [], returnValue: 'undefined', error: null, timedOut: false };
+
+        return new Promise((resolve) => {
+            const done = () => {
+                clearTimeout(timer);
+                worker.terminate();
+                URL.revokeObjectURL(url);
+                resolve(run);
+            };
+            const timer = setTimeout(() => {
+                run.timedOut = true;
+                done();
+            }, options.timeout);
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'log') {
+                    run.logs.push({ level: data.level, text: data.text });
+                } else if (data.type === 'error') {
+                    run.error = run.error || data.error;
+                } else if (data.type === 'done') {
+                    run.returnValue = data.returnValue;
+                    run.error = data.error || run.error;
+                    done();
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                run.error = run.error || event.message;
+            };
+            worker.postMessage({ code, passphrase: options.passphrase || '', settleMs: SETTLE_MS });
+        });
+    }
+
+    /**
+     * Runs first inside the Node sandbox, before the harness: builds the web globals the code may use
+     * (console, timers, atob and btoa, TextEncoder and TextDecoder, crypto) out of the context's own
+     * objects. The one link to the worker is `bridge`, which takes and returns strings only and is kept
+     * in this closure, so no object of the worker's realm, and no way back to its `process`, is ever
+     * reachable from the code. Keep it self-contained, as it is injected as source text.
+     * @param {function(string, string, function(string): void=): string} bridge Runs an operation in the worker (see `workerMain`).
+     * @returns {function(object): void} The `post` function to hand to the harness.
+     */
+    function bootstrap(bridge) {
+        'use strict';
+        const { stringify, parse } = JSON;
+        const fromCharCode = String.fromCharCode;
+        const makeError = ({ name, message }) => Object.assign(new Error(message), { name });
+        const call = (op, argument, callback) => {
+            let text;
+            try {
+                text = bridge(op, argument, callback);
+            } catch (e) {
+                // Only a stack overflow gets here, with the worker's RangeError: never hand that on.
+                throw new RangeError('Maximum call stack size exceeded');
+            }
+            const reply = parse(text);
+            if (reply.error) throw makeError(reply.error);
+            return reply.value;
+        };
+        const bytesOf = (value) => (value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+        const toBinary = (bytes) => {
+            let text = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) text += fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            return text;
+        };
+        const fromBinary = (text) => {
+            const bytes = new Uint8Array(text.length);
+            for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+            return bytes;
+        };
+        const define = (name, value) => Object.defineProperty(globalThis, name, { value, writable: true, configurable: true });
+
+        define('console', {});
+        const startTimer = (repeat) => (callback, ms, ...args) => call('timer', stringify({ ms: Number(ms) || 0, repeat }), () => {
+            if (typeof callback === 'function') callback(...args);
+        });
+        define('setTimeout', startTimer(false));
+        define('setInterval', startTimer(true));
+        define('clearTimeout', (id) => { call('clearTimer', String(id)); });
+        define('clearInterval', (id) => { call('clearTimer', String(id)); });
+        define('queueMicrotask', (callback) => { Promise.resolve().then(() => callback()); });
+        define('btoa', (text) => call('btoa', String(text)));
+        define('atob', (text) => call('atob', String(text)));
+
+        class TextEncoder {
+            get encoding() { return 'utf-8'; }
+            encode(text = '') { return fromBinary(call('encode', String(text))); }
+        }
+        class TextDecoder {
+            constructor(label = 'utf-8', options = {}) {
+                if (!/^utf-?8$/i.test(String(label).trim())) throw new RangeError(`The "${label}" encoding is not supported.`);
+                this.fatal = Boolean(options.fatal);
+            }
+            get encoding() { return 'utf-8'; }
+            decode(input) {
+                return input === undefined ? '' : call('decode', stringify({ bytes: toBinary(bytesOf(input)), fatal: this.fatal }));
+            }
+        }
+        define('TextEncoder', TextEncoder);
+        define('TextDecoder', TextDecoder);
+
+        // Keys stay in the worker; the code holds stand-ins that name them by number.
+        const keyIds = new WeakMap();
+        const keysById = new Map();
+        class CryptoKey {}
+        const pack = (value) => {
+            if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return { $bytes: toBinary(bytesOf(value)) };
+            if (keyIds.has(value)) return { $key: keyIds.get(value) };
+            if (Array.isArray(value)) return value.map(pack);
+            if (value && typeof value === 'object') {
+                const packed = {};
+                Object.keys(value).forEach((name) => { packed[name] = pack(value[name]); });
+                return packed;
+            }
+            return value;
+        };
+        const unpack = (value) => {
+            if (Array.isArray(value)) return value.map(unpack);
+            if (!value || typeof value !== 'object') return value;
+            if (typeof value.$bytes === 'string') return fromBinary(value.$bytes).buffer;
+            if (typeof value.$key === 'number') {
+                if (!keysById.has(value.$key)) {
+                    const key = Object.freeze(Object.assign(new CryptoKey(), { type: value.type, extractable: value.extractable, algorithm: value.algorithm, usages: value.usages }));
+                    keysById.set(value.$key, key);
+                    keyIds.set(key, value.$key);
+                }
+                return keysById.get(value.$key);
+            }
+            const unpacked = {};
+            Object.keys(value).forEach((name) => { unpacked[name] = unpack(value[name]); });
+            return unpacked;
+        };
+        const subtle = {};
+        ['encrypt', 'decrypt', 'sign', 'verify', 'digest', 'generateKey', 'deriveKey', 'deriveBits', 'importKey', 'exportKey', 'wrapKey', 'unwrapKey']
+            .forEach((method) => {
+                subtle[method] = (...args) => new Promise((resolve, reject) => {
+                    call('subtle', stringify({ method, args: pack(args) }), (text) => {
+                        const reply = parse(text);
+                        if (reply.error) reject(makeError(reply.error));
+                        else resolve(unpack(reply.value));
+                    });
+                });
+            });
+        define('CryptoKey', CryptoKey);
+        define('crypto', {
+            subtle,
+            getRandomValues(array) {
+                if (!ArrayBuffer.isView(array) || array instanceof DataView || array instanceof Float32Array || array instanceof Float64Array) {
+                    throw makeError({ name: 'TypeMismatchError', message: 'The data must be an integer-type TypedArray.' });
+                }
+                bytesOf(array).set(fromBinary(call('random', String(array.byteLength))));
+                return array;
+            },
+            randomUUID: () => call('uuid', '')
+        });
+
+        return (message) => { call('post', stringify(message)); };
+    }
+
+    /**
+     * The worker thread of the Node sandbox: creates an empty `vm` context, runs `bootstrap` and then
+     * the harness in it, and answers the bridge. Everything crossing into the context is a string or a
+     * number. Keep it self-contained, as it is injected as source text; it runs in strict mode, so no
+     * function of the context can read one of these as its caller.
+     */
+    function workerMain() {
+        const vm = require('node:vm');
+        const { parentPort, workerData } = require('node:worker_threads');
+        const { webcrypto } = require('node:crypto');
+        const { Buffer } = require('node:buffer');
+        const process = require('node:process');
+        const describeReason = (reason) => {
+            try {
+                return reason && typeof reason === 'object' && 'message' in reason ? `${reason.name}: ${reason.message}` : `Uncaught ${String(reason)}`;
+            } catch (e) {
+                return 'Uncaught exception';
+            }
+        };
+        process.on('unhandledRejection', (reason) => parentPort.postMessage({ type: 'error', error: describeReason(reason) }));
+
+        const timers = new Map();
+        const keys = new Map();
+        let nextId = 1;
+        const binary = (view) => Buffer.from(view.buffer || view, view.byteOffset || 0, view.byteLength).toString('latin1');
+        const revive = (value) => {
+            if (Array.isArray(value)) return value.map(revive);
+            if (!value || typeof value !== 'object') return value;
+            if (typeof value.$bytes === 'string') return Buffer.from(value.$bytes, 'latin1');
+            if (typeof value.$key === 'number') {
+                if (!keys.has(value.$key)) throw new TypeError('The key is not a CryptoKey.');
+                return keys.get(value.$key);
+            }
+            return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, revive(item)]));
+        };
+        const marshal = (value) => {
+            if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return { $bytes: binary(value) };
+            if (value instanceof CryptoKey) {
+                const id = nextId++;
+                keys.set(id, value);
+                return { $key: id, type: value.type, extractable: value.extractable, algorithm: value.algorithm, usages: value.usages };
+            }
+            if (Array.isArray(value)) return value.map(marshal);
+            if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, marshal(item)]));
+            return value;
+        };
+        const failure = (error) => JSON.stringify({ error: { name: String((error && error.name) || 'Error'), message: String((error && error.message) || error) } });
+        const SUBTLE_METHODS = new Set(['encrypt', 'decrypt', 'sign', 'verify', 'digest', 'generateKey', 'deriveKey', 'deriveBits', 'importKey', 'exportKey', 'wrapKey', 'unwrapKey']);
+        const operations = {
+            post: (argument) => parentPort.postMessage(JSON.parse(argument)),
+            timer: (argument, callback) => {
+                const { ms, repeat } = JSON.parse(argument);
+                const id = nextId++;
+                const run = () => {
+                    if (!repeat) timers.delete(id);
+                    callback();
+                };
+                timers.set(id, repeat ? setInterval(run, ms) : setTimeout(run, ms));
+                return id;
+            },
+            clearTimer: (argument) => {
+                clearTimeout(timers.get(Number(argument)));
+                timers.delete(Number(argument));
+            },
+            btoa: (argument) => btoa(argument),
+            atob: (argument) => atob(argument),
+            encode: (argument) => Buffer.from(argument, 'utf8').toString('latin1'),
+            decode: (argument) => {
+                const { bytes, fatal } = JSON.parse(argument);
+                return new TextDecoder('utf-8', { fatal }).decode(Buffer.from(bytes, 'latin1'));
+            },
+            random: (argument) => binary(webcrypto.getRandomValues(new Uint8Array(Number(argument)))),
+            uuid: () => webcrypto.randomUUID(),
+            subtle: (argument, callback) => {
+                const { method, args } = JSON.parse(argument);
+                if (!SUBTLE_METHODS.has(method)) throw new TypeError(`crypto.subtle.${method} is not available.`);
+                Promise.resolve()
+                    .then(() => webcrypto.subtle[method](...revive(args)))
+                    .then((value) => callback(JSON.stringify({ value: marshal(value) })), (error) => callback(failure(error)));
+            }
+        };
+        const bridge = (op, argument, callback) => {
+            try {
+                const value = operations[op](String(argument), typeof callback === 'function' ? callback : () => {});
+                return JSON.stringify({ value });
+            } catch (error) {
+                return failure(error);
+            }
+        };
+
+        const context = vm.createContext({});
+        const post = vm.runInContext(`(${workerData.bootstrap})`, context)(bridge);
+        vm.runInContext(`(${workerData.harness})`, context)(workerData.code, workerData.passphrase, workerData.settleMs, post);
+    }
+
+    /**
+     * Runs code in a fresh Node `vm` context inside a worker thread, which is terminated afterwards,
+     * so neither endless loops (in the code or its timers) nor pending timers can hold up the host.
+     * The context only holds objects of its own realm (see `bootstrap`).
+     * @param {string} code The code.
+     * @param {{timeout: number, passphrase?: string}} options Sandbox options.
+     * @returns {Promise<SandboxRun>} What the code did.
+     */
+    function runInVm(code, options) {
+        const { Worker: ThreadWorker } = require('node:worker_threads');
+        const worker = new ThreadWorker(`'use strict';(${workerMain})();`, {
+            eval: true,
+            workerData: { bootstrap: String(bootstrap), harness: String(harness), code, passphrase: options.passphrase || '', settleMs: SETTLE_MS }
+        });
+        const run = { logs: [], returnValue: 'undefined', error: null, timedOut: false };
+
+        return new Promise((resolve) => {
+            let finished = false;
+            const done = () => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                worker.terminate().then(() => resolve(run), () => resolve(run));
+            };
+            const timer = setTimeout(() => {
+                run.timedOut = true;
+                done();
+            }, options.timeout);
+            worker.on('message', (message) => {
+                if (finished) return;
+                if (message.type === 'log') {
+                    run.logs.push({ level: message.level, text: message.text });
+                } else if (message.type === 'error') {
+                    run.error = run.error || message.error;
+                } else if (message.type === 'done') {
+                    run.returnValue = message.returnValue;
+                    run.error = message.error || run.error;
+                    done();
+                }
+            });
+            worker.on('error', (error) => {
+                run.error = run.error || `${error.name}: ${error.message}`;
+                done();
+            });
+            // A thread with nothing left to run exits on its own: whatever the code awaits can never settle.
+            worker.on('exit', () => {
+                if (!finished) run.timedOut = true;
+                done();
+            });
+        });
+    }
+
+    /**
+     * Formats one console entry for a difference message.
+     * @param {{level: string, text: string}} [entry] The entry.
+     * @returns {string} The entry as text.
+     */
+    function formatLog(entry) {
+        return entry ? `[${entry.level}] ${entry.text}` : '(nothing)';
+    }
+
+    /**
+     * Lists how two runs differ.
+     * @param {SandboxRun} original The run of the original code.
+     * @param {SandboxRun} obfuscated The run of the obfuscated code.
+     * @returns {string[]} The differences; empty when the runs match.
+     */
+    function compare(original, obfuscated) {
+        const differences = [];
+        const lines = Math.max(original.logs.length, obfuscated.logs.length);
+        for (let i = 0; i < lines; i++) {
+            const [a, b] = [original.logs[i], obfuscated.logs[i]];
+            if (!a || !b || a.level !== b.level || a.text !== b.text) {
+                differences.push(`Console output #${i + 1}: original ${formatLog(a)}, obfuscated ${formatLog(b)}`);
+            }
+        }
+        if (!original.timedOut && !obfuscated.timedOut && original.returnValue !== obfuscated.returnValue) {
+            differences.push(`Return value: original ${original.returnValue}, obfuscated ${obfuscated.returnValue}`);
+        }
+        if (original.error !== obfuscated.error) {
+            differences.push(`Error: original ${original.error || '(none)'}, obfuscated ${obfuscated.error || '(none)'}`);
+        }
+        if (original.timedOut !== obfuscated.timedOut) {
+            differences.push(`Timeout: the ${original.timedOut ? 'original' : 'obfuscated'} code did not finish in time`);
+        }
+        return differences;
+    }
+
+    /**
+     * Runs the original and the obfuscated code in separate sandboxes and compares their console
+     * output, return values and thrown errors.
+     * @param {string} original The original code.
+     * @param {string} obfuscated The obfuscated code.
+     * @param {object} [options]
+     * @param {number} [options.timeout=5000] Milliseconds each side may run.
+     * @param {string} [options.passphrase] Passphrase for Lana-Vortex secure mode output.
+     * @returns {Promise<{equivalent: boolean, differences: string[], original: SandboxRun, obfuscated: SandboxRun}>} The report.
+     */
+    async function verify(original, obfuscated, options = {}) {
+        const sandboxOptions = { timeout: DEFAULT_TIMEOUT, ...options };
+        const runSandboxed = typeof Worker !== 'undefined' ? runInWorker : runInVm;
+        const originalRun = await runSandboxed(original, sandboxOptions);
+        const obfuscatedRun = await runSandboxed(obfuscated, sandboxOptions);
+        const differences = compare(originalRun, obfuscatedRun);
+        return { equivalent: differences.length === 0, differences, original: originalRun, obfuscated: obfuscatedRun };
+    }
+
+    /**
+     * Formats a report from `verify` for the log pane.
+     * @param {{equivalent: boolean, differences: string[], original: SandboxRun}} report The report.
+     * @returns {string} The report as text.
+     */
+    function formatReport(report) {
+        const { logs, returnValue, error } = report.original;
+        const summary = `${logs.length} console line(s), return value ${returnValue}${error ? `, error ${error}` : ''}`;
+        if (report.equivalent) {
+            return `Verification passed: both versions behaved the same (${summary}).`;
+        }
+        return [
+            `Verification failed: ${report.differences.length} difference(s).`,
+            ...report.differences.map((difference) => `- ${difference}`)
+        ].join('\n');
+    }
+
+    return { verify, formatReport };
+})();
+
+// Under Node the module is required instead of read from the global above.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = verifier;
+}
@@ -0,0 +1,48 @@
+/*
+ * File: worker.js
+ * Web Worker that runs obfuscation jobs for runner.js, so large inputs never freeze the page.
+ * It loads the same scripts as index.html; keep the two lists in step.
+ */
+importScripts(
+    'https://cdn.jsdelivr.net/npm/acorn@8/dist/acorn.js',
+    'parser.js',
+    'sourcemap.js',
+    'registry.js',
+    'random.js',
+    'container.js',
+    'names.js',
+    'methods/lana-vortex.js',
+    'methods/minify.js',
+    'methods/lexical-scramble.js',
+    'methods/string-conceal.js',
+    'pipeline.js',
+    'runner.js'
+);
+
+onmessage = async ({ data }) => {
+    if (data.type === 'plugin') {
+        try {
+            importScripts(data.url);
+        } catch (e) {
+            // The page reports plugin failures; a method missing here fails its job with "Unknown method".
+        }
+        return;
+    }
+    if (data.type !== 'job') return;
+
+    // Report whole percents only, so a tight loop does not flood the page with messages.
+    let lastPercent = -1;
+    const onProgress = (fraction) => {
+        const percent = Math.floor(fraction * 100);
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        postMessage({ type: 'progress', id: data.id, fraction });
+    };
+
+    try {
+        const output = await methodRunner.execute(data.job, onProgress);
+        postMessage({ type: 'result', id: data.id, output: { result: output.result, map: output.map, sourceMap: output.sourceMap, stats: output.stats } });
+    } catch (e) {
+        postMessage({ type: 'error', id: data.id, message: e.message });
+    }
+};